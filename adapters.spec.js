@@ -0,0 +1,352 @@
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const rx = require('rxjs');
+const rxop = require('rxjs/operators');
+
+const CacheDriver = require('./');
+const adapters = require('./adapters');
+const conformance = require('./conformance');
+
+const expect = chai.expect;
+const namespace = 'spec';
+
+// redis stand-in implementing the subset of the ioredis api used by the adapter
+const createRedisClient = () => {
+    const data = new Map();
+    const alive = key => {
+        const entry = data.get(key);
+
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            data.delete(key);
+
+            return false;
+        }
+
+        return data.has(key);
+    };
+
+    const globToRegExp = pattern => {
+        let source = '';
+
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+
+            if (char === '\\') {
+                source += `\\${pattern[++i]}`;
+            } else if (char === '*') {
+                source += '.*';
+            } else if (char === '?') {
+                source += '.';
+            } else {
+                source += char.replace(/[.+^${}()|[\]]/g, '\\$&');
+            }
+        }
+
+        return new RegExp(`^${source}$`);
+    };
+
+    return {
+        data,
+        get: async key => alive(key) ? data.get(key).value : null,
+        set: async (key, value, mode, seconds) => {
+            data.set(key, {
+                expiresAt: mode === 'EX' ? Date.now() + seconds * 1000 : 0,
+                value
+            });
+
+            return 'OK';
+        },
+        del: async (...keys) => {
+            return keys.filter(key => data.delete(key)).length;
+        },
+        // cursor holds last scanned key, so deletes between pages skip nothing
+        scan: async (cursor, match, pattern, count, size) => {
+            const regExp = globToRegExp(pattern);
+            const keys = Array.from(data.keys())
+                .sort()
+                .filter(key => cursor === '0' || key > cursor.slice(1));
+
+            const page = keys.slice(0, size);
+
+            return [
+                keys.length > size ? `>${page[page.length - 1]}` : '0',
+                page.filter(key => regExp.test(key))
+            ];
+        }
+    };
+};
+
+const run = observable => observable.toPromise();
+
+const suite = (name, createAdapter) => {
+    describe(`${name} conformance`, () => {
+        conformance(createAdapter, {
+                namespace
+            })
+            .forEach(test => it(test.name, test.run));
+    });
+};
+
+describe('adapters', () => {
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rxjs-cache-driver-'));
+    });
+
+    after(() => {
+        (fs.rmSync || fs.rmdirSync)(directory, {
+            force: true,
+            recursive: true
+        });
+    });
+
+    it('should be exposed', () => {
+        expect(CacheDriver.adapters).to.equal(adapters);
+    });
+
+    suite('memory', () => adapters.memory());
+
+    suite('fs', () => adapters.fs({
+        directory: fs.mkdtempSync(path.join(directory, 'fs-'))
+    }));
+
+    suite('redis', () => adapters.redis({
+        client: createRedisClient(),
+        count: 2
+    }));
+
+    describe('memory', () => {
+        it('should expire with clock', async () => {
+            let now = 0;
+
+            const adapter = adapters.memory({
+                clock: () => now
+            });
+
+            await run(adapter.set({
+                namespace,
+                id: 'id',
+                ttl: 1,
+                value: 'value'
+            }));
+
+            now = 999;
+
+            expect(await run(adapter.get({
+                namespace,
+                id: 'id'
+            }))).to.include({
+                value: 'value'
+            });
+
+            now = 1000;
+
+            expect(await run(adapter.get({
+                namespace,
+                id: 'id'
+            }))).to.be.null;
+        });
+    });
+
+    describe('fs', () => {
+        it('should throw if no directory', () => {
+            expect(() => adapters.fs()).to.throw('directory is missing.');
+        });
+
+        it('should store one file per namespace and id', async () => {
+            const adapter = adapters.fs({
+                directory
+            });
+
+            await run(adapter.set({
+                namespace: 'a/b',
+                id: 'c',
+                value: 'value'
+            }));
+
+            expect(fs.readdirSync(path.join(directory, 'a%2Fb'))).to.deep.equal(['c.json']);
+        });
+
+        it('should keep namespaces and ids inside directory', async () => {
+            const root = fs.mkdtempSync(path.join(directory, 'root-'));
+            const adapter = adapters.fs({
+                directory: path.join(root, 'cache')
+            });
+
+            fs.writeFileSync(path.join(root, 'important.txt'), 'keep');
+
+            for (const namespace of ['..', '.', '../..']) {
+                await run(adapter.set({
+                    namespace,
+                    id: '..',
+                    value: 'value'
+                }));
+
+                expect((await run(adapter.get({
+                    namespace,
+                    id: '..'
+                }))).value).to.equal('value');
+
+                await run(adapter.clear({
+                    namespace
+                }));
+            }
+
+            expect(fs.readdirSync(root).sort()).to.deep.equal(['cache', 'important.txt']);
+            expect(fs.readdirSync(path.join(root, 'cache'))).to.deep.equal([]);
+        });
+
+        it('should throw if namespace resolves to directory', async () => {
+            const adapter = adapters.fs({
+                directory
+            });
+
+            let error;
+
+            try {
+                await run(adapter.clear({
+                    namespace: ''
+                }));
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.message).to.equal('path is outside directory.');
+        });
+
+        it('should delete expired file on get', async () => {
+            const adapter = adapters.fs({
+                directory
+            });
+
+            await run(adapter.set({
+                namespace: 'expired',
+                id: 'id',
+                ttl: 1,
+                value: 'value'
+            }));
+
+            await run(adapter.get({
+                namespace: 'expired',
+                id: 'id'
+            }));
+
+            expect(fs.readdirSync(path.join(directory, 'expired'))).to.deep.equal([]);
+        });
+
+        it('should expire with clock', async () => {
+            let now = 0;
+
+            const adapter = adapters.fs({
+                clock: () => now,
+                directory
+            });
+
+            await run(adapter.set({
+                namespace: 'clock',
+                id: 'id',
+                ttl: 1,
+                value: 'value'
+            }));
+
+            now = 999;
+
+            expect(await run(adapter.get({
+                namespace: 'clock',
+                id: 'id'
+            }))).to.include({
+                value: 'value'
+            });
+
+            now = 1000;
+
+            expect(await run(adapter.get({
+                namespace: 'clock',
+                id: 'id'
+            }))).to.be.null;
+        });
+    });
+
+    describe('redis', () => {
+        let client;
+        let adapter;
+
+        beforeEach(() => {
+            client = createRedisClient();
+            adapter = adapters.redis({
+                client,
+                prefix: 'prefix'
+            });
+        });
+
+        it('should throw if no client', () => {
+            expect(() => adapters.redis()).to.throw('client is missing.');
+        });
+
+        it('should use native ttl', async () => {
+            const ttl = Math.floor(Date.now() / 1000) + 60;
+
+            await run(adapter.set({
+                namespace,
+                id: 'id',
+                ttl,
+                value: 'value'
+            }));
+
+            expect(client.data.get('prefix:spec:id').expiresAt).to.be.within(Date.now() + 59000, Date.now() + 61000);
+        });
+
+        it('should not expire without ttl', async () => {
+            await run(adapter.set({
+                namespace,
+                id: 'id',
+                value: 'value'
+            }));
+
+            expect(client.data.get('prefix:spec:id').expiresAt).to.equal(0);
+        });
+
+        it('should compute native ttl with clock', async () => {
+            adapter = adapters.redis({
+                client,
+                clock: () => 1000,
+                prefix: 'prefix'
+            });
+
+            await run(adapter.set({
+                namespace,
+                id: 'id',
+                ttl: 61,
+                value: 'value'
+            }));
+
+            expect(client.data.get('prefix:spec:id').expiresAt).to.be.within(Date.now() + 59000, Date.now() + 61000);
+        });
+
+        it('should clear through scan pages', async () => {
+            const ids = Array.from({
+                length: 250
+            }, (value, index) => `id${index}`);
+
+            await run(rx.from(ids)
+                .pipe(
+                    rxop.mergeMap(id => adapter.set({
+                        namespace,
+                        id,
+                        value: 'value'
+                    })),
+                    rxop.toArray()
+                ));
+
+            await run(adapter.clear({
+                namespace
+            }));
+
+            expect(client.data.size).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+
+const rx = require('rxjs');
+
+const {
+    expired,
+    pack,
+    unpack
+} = require('./record');
+
+module.exports = (options = {}) => {
+    const {
+        clock = Date.now,
+        directory
+    } = options;
+
+    if (!directory) {
+        throw new Error('directory is missing.');
+    }
+
+    const root = path.resolve(directory);
+
+    // dots are escaped too, so namespaces like . or .. can't reach outside directory
+    const encode = name => encodeURIComponent(String(name))
+        .replace(/\./g, '%2E');
+
+    const inside = file => {
+        if (!file.startsWith(`${root}${path.sep}`)) {
+            throw new Error('path is outside directory.');
+        }
+
+        return file;
+    };
+
+    const namespacePath = namespace => inside(path.join(root, encode(namespace)));
+    const recordPath = (namespace, id) => inside(path.join(namespacePath(namespace), `${encode(id)}.json`));
+    const ignoreMissing = err => {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    };
+
+    const remove = async file => {
+        try {
+            await fs.promises.unlink(file);
+        } catch (err) {
+            ignoreMissing(err);
+        }
+    };
+
+    return {
+        get: ({
+            namespace,
+            id
+        }) => rx.defer(async () => {
+            const file = recordPath(namespace, id);
+
+            let record;
+
+            try {
+                record = unpack(await fs.promises.readFile(file));
+            } catch (err) {
+                ignoreMissing(err);
+
+                return null;
+            }
+
+            if (expired(record, clock())) {
+                await remove(file);
+
+                return null;
+            }
+
+            return record;
+        }),
+        set: record => rx.defer(async () => {
+            const file = recordPath(record.namespace, record.id);
+            const temp = `${file}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`;
+
+            await fs.promises.mkdir(namespacePath(record.namespace), {
+                recursive: true
+            });
+
+            // write and rename to never expose partial files
+            await fs.promises.writeFile(temp, pack(record));
+            await fs.promises.rename(temp, file);
+
+            return record;
+        }),
+        del: ({
+            namespace,
+            id
+        }) => rx.defer(async () => {
+            await remove(recordPath(namespace, id));
+
+            return {
+                namespace,
+                id
+            };
+        }),
+        clear: ({
+            namespace
+        }) => rx.defer(async () => {
+            const dir = namespacePath(namespace);
+
+            let files = [];
+
+            try {
+                files = await fs.promises.readdir(dir);
+            } catch (err) {
+                ignoreMissing(err);
+            }
+
+            await Promise.all(files.map(file => remove(path.join(dir, file))));
+
+            try {
+                await fs.promises.rmdir(dir);
+            } catch (err) {
+                // concurrent sets may have recreated files
+                if (err.code !== 'ENOTEMPTY') {
+                    ignoreMissing(err);
+                }
+            }
+
+            return {
+                namespace
+            };
+        })
+    };
+};
@@ -0,0 +1,5 @@
+module.exports = {
+    fs: require('./fs'),
+    memory: require('./memory'),
+    redis: require('./redis')
+};
@@ -0,0 +1,74 @@
+const rx = require('rxjs');
+
+const {
+    expired
+} = require('./record');
+
+module.exports = (options = {}) => {
+    const {
+        clock = Date.now
+    } = options;
+
+    const namespaces = new Map();
+
+    const copy = record => ({
+        ...record,
+        value: Buffer.isBuffer(record.value) ? Buffer.from(record.value) : record.value
+    });
+
+    return {
+        get: ({
+            namespace,
+            id
+        }) => rx.defer(() => {
+            const records = namespaces.get(namespace);
+            const record = records ? records.get(id) : null;
+
+            if (!record) {
+                return rx.of(null);
+            }
+
+            if (expired(record, clock())) {
+                records.delete(id);
+
+                return rx.of(null);
+            }
+
+            return rx.of(copy(record));
+        }),
+        set: record => rx.defer(() => {
+            if (!namespaces.has(record.namespace)) {
+                namespaces.set(record.namespace, new Map());
+            }
+
+            namespaces.get(record.namespace)
+                .set(record.id, copy(record));
+
+            return rx.of(record);
+        }),
+        del: ({
+            namespace,
+            id
+        }) => rx.defer(() => {
+            const records = namespaces.get(namespace);
+
+            if (records) {
+                records.delete(id);
+            }
+
+            return rx.of({
+                namespace,
+                id
+            });
+        }),
+        clear: ({
+            namespace
+        }) => rx.defer(() => {
+            namespaces.delete(namespace);
+
+            return rx.of({
+                namespace
+            });
+        })
+    };
+};
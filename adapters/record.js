@@ -0,0 +1,41 @@
+const expired = (record, now = Date.now()) => {
+    return Boolean(record && record.ttl && record.ttl * 1000 <= now);
+};
+
+const pack = record => {
+    if (Buffer.isBuffer(record.value)) {
+        return JSON.stringify({
+            ...record,
+            encoding: 'base64',
+            value: record.value.toString('base64')
+        });
+    }
+
+    return JSON.stringify(record);
+};
+
+const unpack = data => {
+    if (!data) {
+        return null;
+    }
+
+    const {
+        encoding,
+        ...record
+    } = JSON.parse(data.toString());
+
+    if (encoding === 'base64') {
+        return {
+            ...record,
+            value: Buffer.from(record.value, 'base64')
+        };
+    }
+
+    return record;
+};
+
+module.exports = {
+    expired,
+    pack,
+    unpack
+};
@@ -0,0 +1,86 @@
+const rx = require('rxjs');
+
+const {
+    pack,
+    unpack
+} = require('./record');
+
+// ioredis compatible client: get, set, del and scan returning promises
+module.exports = (options = {}) => {
+    const {
+        client,
+        clock = Date.now,
+        count = 100,
+        prefix = 'cache'
+    } = options;
+
+    if (!client) {
+        throw new Error('client is missing.');
+    }
+
+    const namespaceKey = namespace => `${prefix}:${encodeURIComponent(namespace)}`;
+    const recordKey = (namespace, id) => `${namespaceKey(namespace)}:${encodeURIComponent(id)}`;
+    const escapeGlob = value => value.replace(/[*?[\]\\]/g, '\\$&');
+
+    return {
+        get: ({
+            namespace,
+            id
+        }) => rx.defer(async () => {
+            return unpack(await client.get(recordKey(namespace, id)));
+        }),
+        set: record => rx.defer(async () => {
+            const key = recordKey(record.namespace, record.id);
+
+            if (!record.ttl) {
+                await client.set(key, pack(record));
+
+                return record;
+            }
+
+            const seconds = Math.ceil(record.ttl - clock() / 1000);
+
+            if (seconds <= 0) {
+                await client.del(key);
+
+                return record;
+            }
+
+            await client.set(key, pack(record), 'EX', seconds);
+
+            return record;
+        }),
+        del: ({
+            namespace,
+            id
+        }) => rx.defer(async () => {
+            await client.del(recordKey(namespace, id));
+
+            return {
+                namespace,
+                id
+            };
+        }),
+        clear: ({
+            namespace
+        }) => rx.defer(async () => {
+            const match = `${escapeGlob(namespaceKey(namespace))}:*`;
+
+            let cursor = '0';
+
+            do {
+                const [next, keys] = await client.scan(cursor, 'MATCH', match, 'COUNT', count);
+
+                if (keys.length) {
+                    await client.del(...keys);
+                }
+
+                cursor = next;
+            } while (cursor !== '0');
+
+            return {
+                namespace
+            };
+        })
+    };
+};
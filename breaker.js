@@ -0,0 +1,65 @@
+module.exports = class Breaker {
+    constructor(options = {}) {
+        this.options = {
+            clock: () => Date.now(),
+            onChange: () => null,
+            resetTimeout: 30 * 1000,
+            threshold: 5,
+            ...options
+        };
+
+        this.failures = 0;
+        this.openedAt = 0;
+        this.state = 'closed';
+    }
+
+    isOpen() {
+        return this.state === 'open' && this.options.clock() - this.openedAt < this.options.resetTimeout;
+    }
+
+    // open breakers let one trial call through once resetTimeout is over
+    allow() {
+        if (this.state === 'closed') {
+            return true;
+        }
+
+        if (this.state === 'open' && !this.isOpen()) {
+            this._change('half-open');
+
+            return true;
+        }
+
+        return false;
+    }
+
+    success() {
+        this.failures = 0;
+
+        if (this.state !== 'closed') {
+            this._change('closed');
+        }
+    }
+
+    failure() {
+        this.failures++;
+
+        if (this.state === 'half-open' || this.failures >= this.options.threshold) {
+            this.openedAt = this.options.clock();
+            this._change('open');
+        }
+    }
+
+    // trials ended without outcome give the next call a trial, openedAt is kept so it doesn't wait again
+    abandon() {
+        if (this.state === 'half-open') {
+            this._change('open');
+        }
+    }
+
+    _change(state) {
+        if (this.state !== state) {
+            this.state = state;
+            this.options.onChange(state);
+        }
+    }
+};
@@ -0,0 +1,106 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+
+const Breaker = require('./breaker');
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+describe('breaker.js', () => {
+    let breaker;
+    let time;
+
+    beforeEach(() => {
+        time = 0;
+        breaker = new Breaker({
+            clock: () => time,
+            onChange: sinon.stub(),
+            resetTimeout: 100,
+            threshold: 2
+        });
+    });
+
+    it('should start closed', () => {
+        expect(breaker.state).to.equal('closed');
+        expect(breaker.allow()).to.be.true;
+    });
+
+    it('should open after threshold consecutive failures', () => {
+        breaker.failure();
+        expect(breaker.state).to.equal('closed');
+
+        breaker.failure();
+        expect(breaker.state).to.equal('open');
+        expect(breaker.isOpen()).to.be.true;
+        expect(breaker.allow()).to.be.false;
+        expect(breaker.options.onChange).to.have.been.calledOnceWith('open');
+    });
+
+    it('should reset failures on success', () => {
+        breaker.failure();
+        breaker.success();
+        breaker.failure();
+
+        expect(breaker.state).to.equal('closed');
+    });
+
+    it('should allow one trial after resetTimeout', () => {
+        breaker.failure();
+        breaker.failure();
+        time = 100;
+
+        expect(breaker.isOpen()).to.be.false;
+        expect(breaker.allow()).to.be.true;
+        expect(breaker.state).to.equal('half-open');
+        expect(breaker.allow()).to.be.false;
+    });
+
+    it('should close on trial success', () => {
+        breaker.failure();
+        breaker.failure();
+        time = 100;
+        breaker.allow();
+        breaker.success();
+
+        expect(breaker.state).to.equal('closed');
+        expect(breaker.options.onChange.args).to.deep.equal([
+            ['open'],
+            ['half-open'],
+            ['closed']
+        ]);
+    });
+
+    it('should open again on trial failure', () => {
+        breaker.failure();
+        breaker.failure();
+        time = 100;
+        breaker.allow();
+        breaker.failure();
+
+        expect(breaker.state).to.equal('open');
+        expect(breaker.openedAt).to.equal(100);
+        expect(breaker.allow()).to.be.false;
+    });
+
+    it('should allow new trial once abandoned', () => {
+        breaker.failure();
+        breaker.failure();
+        time = 100;
+        breaker.allow();
+        breaker.abandon();
+
+        expect(breaker.state).to.equal('open');
+        expect(breaker.openedAt).to.equal(0);
+        expect(breaker.allow()).to.be.true;
+        expect(breaker.state).to.equal('half-open');
+    });
+
+    it('should only abandon half-open', () => {
+        breaker.failure();
+        breaker.abandon();
+
+        expect(breaker.state).to.equal('closed');
+    });
+});
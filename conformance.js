@@ -0,0 +1,285 @@
+const assert = require('assert');
+const zlib = require('zlib');
+
+const rx = require('rxjs');
+
+const CacheDriver = require('./');
+
+const toPromise = observable => {
+    if (!observable || typeof observable.subscribe !== 'function') {
+        return Promise.reject(new Error('adapter methods must return an Observable.'));
+    }
+
+    return observable.toPromise();
+};
+
+const tests = (options = {}) => {
+    const {
+        namespace = 'conformance'
+    } = options;
+
+    const record = (id, value, others = {}) => ({
+        createdAt: Date.now(),
+        id,
+        namespace,
+        ttl: Math.floor((Date.now() + 60 * 1000) / 1000),
+        value,
+        ...others
+    });
+
+    const get = (adapter, id, ns = namespace) => toPromise(adapter.get({
+        namespace: ns,
+        id
+    }));
+
+    return [{
+        name: 'should expose get, set, del and clear',
+        run: async adapter => {
+            ['get', 'set', 'del', 'clear'].forEach(method => {
+                assert.strictEqual(typeof adapter[method], 'function', `${method} must be a function`);
+            });
+        }
+    }, {
+        name: 'should return empty for missing keys',
+        run: async adapter => {
+            assert.ok(!await get(adapter, 'missing'), 'missing key must emit null, undefined or nothing');
+        }
+    }, {
+        name: 'should round trip records',
+        run: async adapter => {
+            const data = record('id', JSON.stringify({
+                a: 1
+            }));
+
+            await toPromise(adapter.set(data));
+
+            assert.deepStrictEqual(await get(adapter, 'id'), data);
+        }
+    }, {
+        name: 'should round trip Buffer values',
+        run: async adapter => {
+            const data = record('id', Buffer.from([0, 1, 2, 255]));
+
+            await toPromise(adapter.set(data));
+
+            const response = await get(adapter, 'id');
+
+            assert.ok(Buffer.isBuffer(response.value), 'value must be a Buffer');
+            assert.deepStrictEqual(response, data);
+        }
+    }, {
+        name: 'should round trip gzip payloads',
+        run: async adapter => {
+            const data = record('id', zlib.gzipSync(JSON.stringify('value')), {
+                compression: 'gzip'
+            });
+
+            await toPromise(adapter.set(data));
+
+            const response = await get(adapter, 'id');
+
+            assert.strictEqual(zlib.gunzipSync(response.value).toString(), JSON.stringify('value'));
+            assert.deepStrictEqual(response, data);
+        }
+    }, {
+        name: 'should keep record shape produced by driver',
+        run: async adapter => {
+            const cacheDriver = new CacheDriver({
+                ...adapter,
+                gzip: true
+            });
+
+            let written;
+
+            await toPromise(cacheDriver._set({
+                namespace,
+                id: 'id',
+                value: {
+                    a: 1
+                }
+            }, {
+                set: data => {
+                    written = data;
+
+                    return adapter.set(data);
+                }
+            }));
+
+            assert.deepStrictEqual(Object.keys(written).sort(), ['compression', 'createdAt', 'id', 'namespace', 'ttl', 'value']);
+            assert.deepStrictEqual(await get(adapter, 'id'), written);
+        }
+    }, {
+        name: 'should not share references with callers',
+        run: async adapter => {
+            const data = record('id', 'value');
+
+            await toPromise(adapter.set(data));
+            data.createdAt = 0;
+
+            const response = await get(adapter, 'id');
+
+            response.createdAt = 0;
+
+            assert.notStrictEqual((await get(adapter, 'id')).createdAt, 0);
+        }
+    }, {
+        name: 'should replace records',
+        run: async adapter => {
+            await toPromise(adapter.set(record('id', 'value')));
+            await toPromise(adapter.set(record('id', 'value2')));
+
+            assert.strictEqual((await get(adapter, 'id')).value, 'value2');
+        }
+    }, {
+        name: 'should del records',
+        run: async adapter => {
+            await toPromise(adapter.set(record('id', 'value')));
+            await toPromise(adapter.set(record('id2', 'value')));
+            await toPromise(adapter.del({
+                namespace,
+                id: 'id'
+            }));
+
+            assert.ok(!await get(adapter, 'id'), 'deleted key must be missing');
+            assert.ok(await get(adapter, 'id2'), 'other keys must be kept');
+        }
+    }, {
+        name: 'should del missing keys',
+        run: async adapter => {
+            await toPromise(adapter.del({
+                namespace,
+                id: 'missing'
+            }));
+        }
+    }, {
+        name: 'should isolate namespaces',
+        run: async adapter => {
+            await toPromise(adapter.set(record('id', 'value')));
+            await toPromise(adapter.set(record('id', 'other', {
+                namespace: `${namespace}-other`
+            })));
+
+            assert.strictEqual((await get(adapter, 'id')).value, 'value');
+            assert.strictEqual((await get(adapter, 'id', `${namespace}-other`)).value, 'other');
+        }
+    }, {
+        name: 'should clear only one namespace',
+        run: async adapter => {
+            const others = [`${namespace}:child`, `${namespace}*`, `${namespace}-other`];
+
+            await toPromise(adapter.set(record('id1', 'value')));
+            await toPromise(adapter.set(record('id2', 'value')));
+
+            for (const other of others) {
+                await toPromise(adapter.set(record('id1', 'value', {
+                    namespace: other
+                })));
+            }
+
+            await toPromise(adapter.clear({
+                namespace
+            }));
+
+            assert.ok(!await get(adapter, 'id1'), 'cleared keys must be missing');
+            assert.ok(!await get(adapter, 'id2'), 'cleared keys must be missing');
+
+            for (const other of others) {
+                assert.ok(await get(adapter, 'id1', other), `namespace "${other}" must be kept`);
+            }
+        }
+    }, {
+        name: 'should clear missing namespaces',
+        run: async adapter => {
+            await toPromise(adapter.clear({
+                namespace: `${namespace}-missing`
+            }));
+        }
+    }, {
+        name: 'should not return records with past ttl',
+        run: async adapter => {
+            await toPromise(adapter.set(record('id', 'value', {
+                ttl: Math.floor(Date.now() / 1000) - 1
+            })));
+
+            assert.ok(!await get(adapter, 'id'), 'expired key must be missing');
+        }
+    }, {
+        name: 'should return records with future ttl',
+        run: async adapter => {
+            await toPromise(adapter.set(record('id', 'value', {
+                ttl: Math.floor(Date.now() / 1000) + 60
+            })));
+
+            assert.ok(await get(adapter, 'id'), 'not expired key must be returned');
+        }
+    }, {
+        name: 'should work with driver',
+        run: async adapter => {
+            const cacheDriver = new CacheDriver({
+                ...adapter,
+                gzip: true
+            });
+
+            const value = await toPromise(cacheDriver.get({
+                namespace,
+                id: 'id'
+            }, () => rx.of({
+                a: 1
+            })));
+
+            assert.deepStrictEqual(value, {
+                a: 1
+            });
+
+            assert.deepStrictEqual(await toPromise(cacheDriver.get({
+                namespace,
+                id: 'id'
+            }, () => rx.throwError(new Error('source must not be called')))), {
+                a: 1
+            });
+
+            await toPromise(cacheDriver.markToRefresh({
+                namespace,
+                id: 'id'
+            }));
+
+            assert.strictEqual(await toPromise(cacheDriver.get({
+                namespace,
+                id: 'id'
+            }, () => rx.of('fresh'))), 'fresh');
+        }
+    }];
+};
+
+// createAdapter is called once per test and may return a Promise
+const conformance = (createAdapter, options) => {
+    return tests(options)
+        .map(test => ({
+            name: test.name,
+            run: async () => test.run(await createAdapter())
+        }));
+};
+
+conformance.run = async (createAdapter, options) => {
+    const results = [];
+
+    for (const test of conformance(createAdapter, options)) {
+        try {
+            await test.run();
+            results.push({
+                name: test.name,
+                passed: true
+            });
+        } catch (error) {
+            results.push({
+                error,
+                name: test.name,
+                passed: false
+            });
+        }
+    }
+
+    return results;
+};
+
+module.exports = conformance;
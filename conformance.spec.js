@@ -0,0 +1,88 @@
+const chai = require('chai');
+
+const rx = require('rxjs');
+
+const adapters = require('./adapters');
+const conformance = require('./conformance');
+
+const expect = chai.expect;
+
+describe('conformance.js', () => {
+    it('should return named tests', () => {
+        const tests = conformance(() => adapters.memory());
+
+        expect(tests.length).to.be.above(0);
+        tests.forEach(test => {
+            expect(test.name).to.be.a('string');
+            expect(test.run).to.be.a('function');
+        });
+    });
+
+    it('should pass with memory adapter', async () => {
+        const results = await conformance.run(() => adapters.memory(), {
+            namespace: 'custom'
+        });
+
+        expect(results.filter(result => !result.passed)).to.deep.equal([]);
+    });
+
+    it('should accept async factories', async () => {
+        const results = await conformance.run(async () => adapters.memory());
+
+        expect(results.every(result => result.passed)).to.be.true;
+    });
+
+    it('should report failures', async () => {
+        // ignores namespaces and never expires
+        const createAdapter = () => {
+            const data = new Map();
+
+            return {
+                get: ({
+                    id
+                }) => rx.of(data.get(id) || null),
+                set: record => {
+                    data.set(record.id, record);
+
+                    return rx.of(record);
+                },
+                del: ({
+                    id
+                }) => {
+                    data.delete(id);
+
+                    return rx.of(null);
+                },
+                clear: () => {
+                    data.clear();
+
+                    return rx.of(null);
+                }
+            };
+        };
+
+        const results = await conformance.run(createAdapter);
+        const failed = results.filter(result => !result.passed)
+            .map(result => result.name);
+
+        expect(failed).to.deep.equal([
+            'should not share references with callers',
+            'should isolate namespaces',
+            'should clear only one namespace',
+            'should not return records with past ttl'
+        ]);
+        expect(results.find(result => !result.passed).error).to.be.instanceOf(Error);
+    });
+
+    it('should fail if methods do not return Observables', async () => {
+        const results = await conformance.run(() => ({
+            get: () => null,
+            set: () => null,
+            del: () => null,
+            clear: () => null
+        }));
+
+        expect(results[0].passed).to.be.true;
+        expect(results[1].error.message).to.equal('adapter methods must return an Observable.');
+    });
+});
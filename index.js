@@ -1,8 +1,25 @@
+const crypto = require('crypto');
 const zlib = require('zlib');
 
 const rx = require('rxjs');
 const rxop = require('rxjs/operators');
 
+const adapters = require('./adapters');
+const Breaker = require('./breaker');
+const locks = require('./locks');
+const Lru = require('./lru');
+const serializers = require('./serializers');
+const Stats = require('./stats');
+
+// only * is special
+const globToRegExp = pattern => {
+    const source = pattern.split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+
+    return new RegExp(`^${source}$`);
+};
+
 module.exports = class CacheDriver {
     constructor(options = {}) {
         if (!options.get) {
@@ -22,12 +39,242 @@ module.exports = class CacheDriver {
         }
 
         this.options = {
+            cacheNull: false, // cache null results (negative caching)
+            checksum: false, // store sha256 of stored value, verified on read
+            circuitBreaker: false, // true or { threshold, resetTimeout }, per namespace, serves stale or fails fast without calling source when open
+            coalesce: true,
+            deleteCorrupt: true, // delete records failing checksum, decompression or deserialization on read
+            deleteExpired: false, // delete records with past ttl on read
+            earlyRefresh: false, // true or beta factor, refreshes in background before ttr according source duration
+            enforceTtl: true, // treat records with past ttl as missing, regardless of backend eviction
+            lock: null, // { acquire, renew, release } optional, only one process runs source on miss or expiry
+            lockTtl: 10 * 1000, // lease duration, renewed while source runs
+            lockWait: 5 * 1000, // max time waiting for lock holder before running source anyway
+            lockPoll: 100, // interval to reread while waiting
+            onLocked: 'wait', // wait or stale, when lock is held by another process
+            onRevalidateError: () => null,
+            onStaleIfError: () => null,
+            retry: 0, // count or { count, delay, factor, maxDelay, jitter }
             setFilter: () => true,
+            sourceMode: 'each', // each, last or array
+            sourceTimeout: null, // ms optional
+            tags: [], // tags attached to entries on set, optional
+            tagsNamespace: '__tags__',
+            staleIfError: false,
+            staleWhileRevalidate: false,
             json: true,
+            maxChunkSize: null, // bytes optional, larger stored values are split into chunk records plus a manifest
+            negativeTtr: null, // ttr for cached null results, defaults to ttr
+            memory: false, // { maxEntries, maxBytes, ttl } optional
+            migrate: null, // (value, version) => value optional, upgrades records with other versions instead of missing
+            compression: null, // gzip, deflate, brotli or { algorithm, level, threshold } optional, threshold in Kb
+            encryption: null, // { key, keys: { [kid]: 32 bytes Buffer or base64 } } optional, aes-256-gcm
+            serializer: null, // json, typed, raw or { name, serialize, deserialize }, defaults to json or raw according json option
+            serializers: {}, // additional serializers to read records written with them
+            clock: null, // () => ms, defaults to scheduler.now()
+            scheduler: rx.asyncScheduler, // used for time reads and delays, i.e. TestScheduler
             ttr: 7200 * 1000, // 2 hours optional
+            ttrJitter: 0, // fraction of ttr randomly subtracted per record, between 0 and 1
             ttl: 60 * 24 * 60 * 60 * 1000, // 60 days optional
+            version: null, // value or { [namespace]: value } optional, records with other versions are misses
             ...options
         };
+
+        this.events = new rx.Subject();
+        this.statistics = new Stats();
+        this.events.subscribe(event => this.statistics.record(event));
+        this.inFlight = new Map();
+        this.tagQueues = new Map();
+        this.schedules = new Map();
+        this.breakers = new Map();
+        this.policies = new Map();
+        this.memory = this.options.memory ? new Lru({
+            clock: () => this._now(),
+            ...this.options.memory
+        }) : null;
+        this.tiers = {
+            memory: {
+                hits: 0,
+                misses: 0
+            },
+            backend: {
+                hits: 0,
+                misses: 0
+            }
+        };
+    }
+
+    // names or patterns where * matches anything, a namespace may match several patterns
+    registerPolicy(pattern, options = {}) {
+        if (!pattern) {
+            throw new Error('No namespace provided.');
+        }
+
+        const policy = this.policies.get(pattern);
+
+        this.policies.set(pattern, {
+            match: globToRegExp(pattern),
+            options: {
+                ...(policy ? policy.options : {}),
+                ...options
+            }
+        });
+    }
+
+    namespace(name, options) {
+        if (!name) {
+            throw new Error('No namespace provided.');
+        }
+
+        if (name.includes('*')) {
+            throw new Error('Namespace can\'t contain *, use registerPolicy for patterns.');
+        }
+
+        if (options) {
+            this.registerPolicy(name, options);
+        }
+
+        const scope = args => ({
+            ...args,
+            namespace: name
+        });
+
+        return {
+            name,
+            get: (args, source, options) => this.get(scope(args), source, options),
+            getMany: (args, source, options) => this.getMany(scope(args), source, options),
+            setMany: (args, options) => this.setMany(scope(args), options),
+            del: args => this.del(scope(args)),
+            delMany: args => this.delMany(scope(args)),
+            clear: () => this.clear(scope()),
+            markToRefresh: args => this.markToRefresh(scope(args)),
+            schedule: (args, source, options) => this.schedule(scope(args), source, options),
+            stats: () => this.stats(scope()),
+            policy: () => this._options(name)
+        };
+    }
+
+    stats(args = {}) {
+        return this.statistics.snapshot(args.namespace);
+    }
+
+    resetStats() {
+        this.statistics.reset();
+    }
+
+    circuitState(args = {}) {
+        const breaker = this.breakers.get(args.namespace);
+
+        return breaker ? breaker.state : 'closed';
+    }
+
+    tierStats() {
+        return {
+            memory: {
+                ...this.tiers.memory,
+                bytes: this.memory ? this.memory.bytes : 0,
+                entries: this.memory ? this.memory.size : 0
+            },
+            backend: {
+                ...this.tiers.backend
+            }
+        };
+    }
+
+    schedule(args, source, options = {}) {
+        const {
+            namespace,
+            id
+        } = args;
+
+        const {
+            every = this._options(namespace, options).ttr / 2,
+            idle = every * 3,
+            scheduler = this.options.scheduler,
+            ...getOptions
+        } = options;
+
+        if (!namespace) {
+            throw new Error('No namespace provided.');
+        }
+
+        if (typeof source !== 'function') {
+            throw new Error('Source must be a function which returns an Observable.');
+        }
+
+        const key = this._key(namespace, id);
+
+        if (this.schedules.has(key)) {
+            this.schedules.get(key)
+                .stop();
+        }
+
+        const entry = {
+            namespace,
+            id,
+            every,
+            idle,
+            lastAccess: scheduler.now(),
+            scheduler,
+            stop: () => {
+                if (this.schedules.get(key) === entry) {
+                    this.schedules.delete(key);
+                }
+
+                subscription.unsubscribe();
+            }
+        };
+
+        this.schedules.set(key, entry);
+
+        const subscription = rx.timer(0, every, scheduler)
+            .pipe(
+                rxop.exhaustMap(() => {
+                    if (scheduler.now() - entry.lastAccess >= idle) {
+                        this._emit('unscheduled', {
+                            namespace,
+                            id
+                        });
+
+                        entry.stop();
+
+                        return rx.EMPTY;
+                    }
+
+                    // errors are reported by get, next tick tries again
+                    return this.get(args, source, {
+                            ...getOptions,
+                            refresh: true
+                        })
+                        .pipe(
+                            rxop.catchError(() => rx.EMPTY)
+                        );
+                })
+            )
+            .subscribe();
+
+        return {
+            namespace,
+            id,
+            stop: entry.stop
+        };
+    }
+
+    scheduled() {
+        return Array.from(this.schedules.values())
+            .map(({
+                namespace,
+                id,
+                every,
+                idle,
+                lastAccess
+            }) => ({
+                namespace,
+                id,
+                every,
+                idle,
+                lastAccess
+            }));
     }
 
     get(args, source, options) {
@@ -36,230 +283,1919 @@ module.exports = class CacheDriver {
             id
         } = args;
 
-        options = {
-            ...this.options,
-            ...options
+        options = this._options(namespace, options);
+
+        if (!namespace) {
+            return rx.throwError(new Error('No namespace provided.'));
+        }
+
+        if (typeof source !== 'function') {
+            return rx.throwError(new Error('Source must be a function which returns an Observable.'));
+        }
+
+        // refreshes are writes, only reads keep scheduled keys alive
+        if (!options.refresh) {
+            this._touch(namespace, id);
+        }
+
+        if (!['each', 'last', 'array'].includes(options.sourceMode)) {
+            return rx.throwError(new Error('sourceMode must be each, last or array.'));
+        }
+
+        if (!['wait', 'stale'].includes(options.onLocked)) {
+            return rx.throwError(new Error('onLocked must be wait or stale.'));
+        }
+
+        if (typeof options.setFilter !== 'function') {
+            options.setFilter = () => true;
+        }
+
+        const _set = (value, start, sequence = false) => {
+            if (this._cacheable(value, options) && options.setFilter(value)) {
+                return this._set({
+                    namespace,
+                    id,
+                    value
+                }, {
+                    ...options,
+                    delta: options.earlyRefresh ? this._now() - start : undefined,
+                    sequence
+                });
+            }
+
+            this._emit('set-skipped', {
+                namespace,
+                id
+            });
+
+            return rx.EMPTY;
+        };
+
+        const _sourceAndSet = args => rx.defer(() => {
+            const start = this._now();
+
+            if (options.sourceMode === 'each') {
+                return this._guard(namespace, options, () => source(args))
+                    .pipe(
+                        this._observeSource(namespace, [id]),
+                        rxop.concatMap(response => {
+                            return _set(response, start)
+                                .pipe(
+                                    rxop.ignoreElements(),
+                                    rxop.concatWith(rx.of(response))
+                                );
+                        })
+                    );
+            }
+
+            // emissions pass through, cache is written once source completes
+            const responses = [];
+
+
+            return this._guard(namespace, options, () => source(args))
+                .pipe(
+                    this._observeSource(namespace, [id]),
+                    rxop.tap(response => responses.push(response)),
+                    rxop.concatWith(rx.defer(() => {
+                        if (!responses.length) {
+                            return rx.EMPTY;
+                        }
+
+                        if (options.sourceMode === 'last') {
+                            return _set(responses[responses.length - 1], start);
+                        }
+
+                        return _set(responses, start, true);
+                    })
+                    .pipe(
+                        rxop.ignoreElements()
+                    ))
+                );
+        });
+
+        const sourceAndSet = args => {
+            if (options.coalesce) {
+                return this._coalesce(this._key(namespace, id), () => _sourceAndSet(args));
+            }
+
+            return _sourceAndSet(args);
+        };
+
+        const lockedSourceAndSet = (record, background = false) => {
+            const key = this._key(namespace, id);
+
+            // in process callers join the running source instead of competing for the lock
+            if (!options.lock || (options.coalesce && this.inFlight.has(key))) {
+                return sourceAndSet(args);
+            }
+
+            const token = crypto.randomBytes(16)
+                .toString('hex');
+
+            const deadline = this._now() + options.lockWait;
+            const acquire = (first = false) => {
+                return options.lock.acquire({
+                        key,
+                        token,
+                        ttl: options.lockTtl
+                    })
+                    .pipe(
+                        rxop.mergeMap(acquired => {
+                            if (acquired) {
+                                return this._hold({
+                                    namespace,
+                                    id
+                                }, token, options, sourceAndSet(args));
+                            }
+
+                            if (first) {
+                                this._emit('locked', {
+                                    namespace,
+                                    id
+                                });
+                            }
+
+                            if (background) {
+                                return rx.EMPTY;
+                            }
+
+                            if (options.onLocked === 'stale' && record && this._cacheable(record.value, options)) {
+                                return this._replay(record);
+                            }
+
+                            return reread();
+                        })
+                    );
+            };
+
+            const reread = () => {
+                return rx.timer(options.lockPoll, this.options.scheduler)
+                    .pipe(
+                        rxop.mergeMap(() => {
+                            if (this.memory) {
+                                this.memory.delete(key);
+                            }
+
+                            return this._read({
+                                namespace,
+                                id
+                            }, options);
+                        }),
+                        rxop.mergeMap(({
+                            record
+                        }) => {
+                            if (
+                                this._cacheable(record.value, options) &&
+                                this._now() - (record.createdAt || 0) < this._ttr(record, options)
+                            ) {
+                                return this._replay(record);
+                            }
+
+                            // lock holder is taking too long or died without setting
+                            if (this._now() >= deadline) {
+                                return sourceAndSet(args);
+                            }
+
+                            return acquire();
+                        })
+                    );
+            };
+
+            return acquire(true);
+        };
+
+        const revalidate = () => rx.defer(() => {
+            lockedSourceAndSet(null, true)
+                .subscribe({
+                    error: err => {
+                        this._emit('error', {
+                            namespace,
+                            id,
+                            error: err,
+                            stage: 'revalidate'
+                        });
+
+                        options.onRevalidateError(err, {
+                            namespace,
+                            id
+                        });
+                    }
+                });
+
+            return rx.EMPTY;
+        });
+
+        const reportError = stage => err => {
+            this._emit('error', {
+                namespace,
+                id,
+                error: err,
+                stage
+            });
+
+            return rx.throwError(err);
         };
 
+        if (options.refresh) {
+            return rx.defer(() => {
+                    this._emit('refresh', {
+                        namespace,
+                        id
+                    });
+
+                    return sourceAndSet(args);
+                })
+                .pipe(
+                    rxop.catchError(reportError('get'))
+                );
+        }
+
+        return rx.defer(() => {
+                const start = this._now();
+
+                return this._read({
+                        namespace,
+                        id
+                    }, options)
+                    .pipe(
+                        rxop.map(response => ({
+                            ...response,
+                            latency: this._now() - start
+                        }))
+                    );
+            })
+            .pipe(
+                rxop.mergeMap(({
+                    latency,
+                    record,
+                    size
+                }) => {
+                    const {
+                        createdAt = 0
+                    } = record;
+
+                    if (!this._cacheable(record.value, options)) {
+                        this._emit('miss', {
+                            namespace,
+                            id,
+                            latency
+                        });
+
+                        return lockedSourceAndSet(null);
+                    }
+
+                    const ttr = this._ttr(record, options);
+                    const age = this._now() - createdAt;
+                    const expired = age >= ttr ? true : false;
+
+                    if (expired) {
+                        this._emit('stale', {
+                            namespace,
+                            id,
+                            age,
+                            latency,
+                            size
+                        });
+
+                        if (this._withinStaleWindow(options.staleWhileRevalidate, age, ttr)) {
+                            return rx.concat(
+                                this._replay(record),
+                                revalidate()
+                            );
+                        }
+
+                        if (this._circuitOpen(namespace, options)) {
+                            this._emit('short-circuit', {
+                                namespace,
+                                id
+                            });
+
+                            return this._replay(record);
+                        }
+
+                        if (this._withinStaleWindow(options.staleIfError, age, ttr)) {
+                            return lockedSourceAndSet(record)
+                                .pipe(
+                                    rxop.catchError(err => {
+                                        this._emit('error', {
+                                            namespace,
+                                            id,
+                                            error: err,
+                                            stage: 'stale-if-error'
+                                        });
+
+                                        options.onStaleIfError(err, {
+                                            namespace,
+                                            id
+                                        });
+
+                                        return this._replay(record);
+                                    })
+                                );
+                        }
+
+                        return lockedSourceAndSet(record);
+                    }
+
+                    this._emit('hit', {
+                        namespace,
+                        id,
+                        latency,
+                        size
+                    });
+
+                    if (this._refreshEarly(record, age, ttr, options)) {
+                        this._emit('early-refresh', {
+                            namespace,
+                            id,
+                            age
+                        });
+
+                        return rx.concat(
+                            this._replay(record),
+                            revalidate()
+                        );
+                    }
+
+                    return this._replay(record);
+                }),
+                rxop.catchError(reportError('get'))
+            );
+    }
+
+    getMany(args, source, options) {
+        const {
+            namespace,
+            ids = []
+        } = args;
+
+        options = this._options(namespace, options);
+
         if (!namespace) {
             return rx.throwError(new Error('No namespace provided.'));
         }
 
+        if (!Array.isArray(ids)) {
+            return rx.throwError(new Error('ids must be an array.'));
+        }
+
         if (typeof source !== 'function') {
             return rx.throwError(new Error('Source must be a function which returns an Observable.'));
         }
 
-        const _set = value => {
-            return this._set({
-                namespace,
-                id,
-                value
-            }, options);
-        };
+        const uniqueIds = Array.from(new Set(ids));
+
+        if (!options.refresh) {
+            uniqueIds.forEach(id => this._touch(namespace, id));
+        }
+
+        const sourceAndSet = missing => {
+            return this._guard(namespace, options, () => source(missing))
+                .pipe(
+                    this._observeSource(namespace, missing),
+                    rxop.mergeMap(response => {
+                        const setFilter = typeof options.setFilter === 'function' ? options.setFilter : () => true;
+                        const fresh = {};
+                        const values = {};
+
+                        missing.forEach(id => {
+                            if (response && response[id] !== undefined) {
+                                fresh[id] = response[id];
+
+                                if (this._cacheable(response[id], options) && setFilter(response[id], id)) {
+                                    values[id] = response[id];
+                                } else {
+                                    this._emit('set-skipped', {
+                                        namespace,
+                                        id
+                                    });
+                                }
+                            }
+                        });
+
+                        return rx.concat(
+                            this.setMany({
+                                    namespace,
+                                    values
+                                }, options)
+                                .pipe(
+                                    rxop.ignoreElements()
+                                ),
+                            rx.of(fresh)
+                        );
+                    })
+                );
+        };
+
+        if (options.refresh) {
+            return rx.defer(() => {
+                uniqueIds.forEach(id => {
+                    this._emit('refresh', {
+                        namespace,
+                        id
+                    });
+                });
+
+                return sourceAndSet(uniqueIds);
+            });
+        }
+
+        return rx.defer(() => {
+                const start = this._now();
+
+                return this._readMany({
+                        namespace,
+                        ids: uniqueIds
+                    }, options)
+                    .pipe(
+                        rxop.map(responses => ({
+                            latency: this._now() - start,
+                            responses
+                        }))
+                    );
+            })
+            .pipe(
+                rxop.mergeMap(({
+                    latency,
+                    responses
+                }) => {
+                    const result = {};
+                    const missing = [];
+
+                    uniqueIds.forEach(id => {
+                        const {
+                            record,
+                            size
+                        } = responses[id];
+
+                        const {
+                            value,
+                            createdAt = 0
+                        } = record;
+
+                        if (!this._cacheable(record.value, options)) {
+                            missing.push(id);
+
+                            return this._emit('miss', {
+                                namespace,
+                                id,
+                                latency
+                            });
+                        }
+
+                        const age = this._now() - createdAt;
+
+                        if (age >= this._ttr(record, options)) {
+                            missing.push(id);
+
+                            return this._emit('stale', {
+                                namespace,
+                                id,
+                                age,
+                                latency,
+                                size
+                            });
+                        }
+
+                        result[id] = value;
+                        this._emit('hit', {
+                            namespace,
+                            id,
+                            latency,
+                            size
+                        });
+                    });
+
+                    if (!missing.length) {
+                        return rx.of(result);
+                    }
+
+                    return sourceAndSet(missing)
+                        .pipe(
+                            rxop.map(response => ({
+                                ...result,
+                                ...response
+                            }))
+                        );
+                })
+            );
+    }
+
+    // constructor options, then matching patterns in registration order, then exact namespace, then call options
+    _options(namespace, options) {
+        const patterns = [];
+
+        let exact = {};
+
+        this.policies.forEach((policy, name) => {
+            if (name === namespace) {
+                exact = policy.options;
+            } else if (name.includes('*') && policy.match.test(namespace)) {
+                patterns.push(policy.options);
+            }
+        });
+
+        return Object.assign({}, this.options, ...patterns, exact, options);
+    }
+
+    _key(namespace, id) {
+        return `${namespace}:${id}`;
+    }
+
+    _now() {
+        if (typeof this.options.clock === 'function') {
+            return this.options.clock();
+        }
+
+        return this.options.scheduler.now();
+    }
+
+    _touch(namespace, id) {
+        const entry = this.schedules.get(this._key(namespace, id));
+
+        if (entry) {
+            entry.lastAccess = entry.scheduler.now();
+        }
+    }
+
+    _emit(type, payload) {
+        this.events.next({
+            type,
+            ...payload
+        });
+    }
+
+    // emitted tells stats the call was already counted by a source event
+    _observeSource(namespace, ids) {
+        return source => rx.defer(() => {
+            let emitted = false;
+
+            return source.pipe(
+                this._measure(latency => {
+                    emitted = true;
+                    ids.forEach(id => this._emit('source', {
+                        namespace,
+                        id,
+                        latency
+                    }));
+                }),
+                rxop.tap({
+                    error: error => {
+                        ids.forEach(id => this._emit('source-error', {
+                            namespace,
+                            id,
+                            emitted,
+                            error
+                        }));
+                    }
+                })
+            );
+        });
+    }
+
+    _measure(callback) {
+        return source => rx.defer(() => {
+            const start = this._now();
+
+            let done = false;
+
+            const finish = () => {
+                if (!done) {
+                    done = true;
+                    callback(this._now() - start);
+                }
+            };
+
+            // backends may complete without emitting
+            return source.pipe(
+                rxop.tap({
+                    next: finish,
+                    complete: finish
+                })
+            );
+        });
+    }
+
+    _coalesce(key, factory) {
+        if (!this.inFlight.has(key)) {
+            const cleanup = () => {
+                if (this.inFlight.get(key) === shared) {
+                    this.inFlight.delete(key);
+                }
+            };
+
+            const shared = factory()
+                .pipe(
+                    rxop.tap({
+                        complete: cleanup,
+                        error: cleanup
+                    }),
+                    rxop.finalize(cleanup),
+                    rxop.share({
+                        connector: () => new rx.ReplaySubject()
+                    })
+                );
+
+            this.inFlight.set(key, shared);
+        }
+
+        return this.inFlight.get(key);
+    }
+
+    _hold(args, token, options, source) {
+        const {
+            namespace,
+            id
+        } = args;
+
+        const key = this._key(namespace, id);
+        const lock = options.lock;
+        const reportError = error => {
+            this._emit('error', {
+                namespace,
+                id,
+                error,
+                stage: 'lock'
+            });
+        };
+
+        return rx.defer(() => {
+            const renewal = rx.interval(options.lockTtl / 2, this.options.scheduler)
+                .pipe(
+                    rxop.concatMap(() => lock.renew({
+                        key,
+                        token,
+                        ttl: options.lockTtl
+                    }))
+                )
+                .subscribe({
+                    next: renewed => {
+                        if (!renewed) {
+                            renewal.unsubscribe();
+                            reportError(new Error('Lock lease lost.'));
+                        }
+                    },
+                    error: reportError
+                });
+
+            return source.pipe(
+                rxop.finalize(() => {
+                    renewal.unsubscribe();
+                    lock.release({
+                            key,
+                            token
+                        })
+                        .subscribe({
+                            error: reportError
+                        });
+                })
+            );
+        });
+    }
+
+    _guard(namespace, options, factory) {
+        const {
+            count = 0,
+            delay = 100,
+            factor = 2,
+            maxDelay = 30 * 1000,
+            jitter = 0.5
+        } = typeof options.retry === 'number' ? {
+            count: options.retry
+        } : options.retry || {};
+
+        const breaker = this._breaker(namespace, options);
+        const attempt = index => {
+            return rx.defer(factory)
+                .pipe(
+                    options.sourceTimeout ? rxop.timeout({
+                        each: options.sourceTimeout,
+                        scheduler: this.options.scheduler
+                    }) : rx.identity,
+                    rxop.catchError(err => {
+                        if (index >= count) {
+                            return rx.throwError(err);
+                        }
+
+                        const backoff = Math.min(delay * Math.pow(factor, index), maxDelay);
+
+                        return rx.timer(backoff * (1 - jitter * Math.random()), this.options.scheduler)
+                            .pipe(
+                                rxop.mergeMap(() => attempt(index + 1))
+                            );
+                    })
+                );
+        };
+
+        if (!breaker) {
+            return attempt(0);
+        }
+
+        return rx.defer(() => {
+            if (!breaker.allow()) {
+                return rx.throwError(new Error(`Circuit is open for namespace "${namespace}".`));
+            }
+
+            let settled = false;
+
+            return attempt(0)
+                .pipe(
+                    rxop.tap({
+                        next: () => {
+                            settled = true;
+                            breaker.success();
+                        },
+                        complete: () => {
+                            settled = true;
+                            breaker.success();
+                        },
+                        error: () => {
+                            settled = true;
+                            breaker.failure();
+                        }
+                    }),
+                    rxop.finalize(() => {
+                        if (!settled) {
+                            breaker.abandon();
+                        }
+                    })
+                );
+        });
+    }
+
+    _breaker(namespace, options) {
+        if (!options.circuitBreaker) {
+            return null;
+        }
+
+        if (!this.breakers.has(namespace)) {
+            this.breakers.set(namespace, new Breaker({
+                ...(typeof options.circuitBreaker === 'object' ? options.circuitBreaker : {}),
+                clock: () => this._now(),
+                onChange: state => this._emit('circuit', {
+                    namespace,
+                    state
+                })
+            }));
+        }
+
+        return this.breakers.get(namespace);
+    }
+
+    _circuitOpen(namespace, options) {
+        const breaker = this._breaker(namespace, options);
+
+        // half-open breakers already have a trial in flight, stale callers shouldn't fail meanwhile
+        return breaker ? breaker.isOpen() || breaker.state === 'half-open' : false;
+    }
+
+    _withinStaleWindow(option, age, ttr) {
+        if (typeof option === 'number') {
+            return age - ttr < option;
+        }
+
+        return option === true;
+    }
+
+    _get(args, options) {
+        return this._read(args, options)
+            .pipe(
+                rxop.map(({
+                    record
+                }) => record)
+            );
+    }
+
+    _read(args, options = this._options(args.namespace)) {
+        const {
+            namespace,
+            id
+        } = args;
+
+        if (!namespace) {
+            return rx.throwError(new Error('No namespace provided.'));
+        }
+
+        return rx.defer(() => {
+                const cached = this._recall(namespace, id, options);
+
+                if (cached) {
+                    return rx.of(cached);
+                }
+
+                return this.options.get({
+                        namespace,
+                        id
+                    })
+                    .pipe(
+                        rxop.defaultIfEmpty(null),
+                        rxop.mergeMap(response => this._receive(namespace, id, response, options))
+                    );
+            })
+            .pipe(
+                rxop.map(response => this._versioned(namespace, id, response, options))
+            );
+    }
+
+    _getMany(args, options) {
+        return this._readMany(args, options)
+            .pipe(
+                rxop.map(responses => {
+                    return Object.keys(responses)
+                        .reduce((reduction, id) => {
+                            reduction[id] = responses[id].record;
+
+                            return reduction;
+                        }, {});
+                })
+            );
+    }
+
+    _readMany(args, options = this._options(args.namespace)) {
+        const {
+            namespace,
+            ids = []
+        } = args;
+
+        if (!namespace) {
+            return rx.throwError(new Error('No namespace provided.'));
+        }
+
+        return rx.defer(() => {
+                const result = {};
+                const missing = [];
+
+                ids.forEach(id => {
+                    const cached = this._recall(namespace, id, options);
+
+                    if (cached) {
+                        result[id] = cached;
+                    } else {
+                        missing.push(id);
+                    }
+                });
+
+                if (!missing.length) {
+                    return rx.of(result);
+                }
+
+                const backend = this.options.getMany ? this.options.getMany({
+                        namespace,
+                        ids: missing
+                    })
+                    .pipe(
+                        rxop.defaultIfEmpty([]),
+                        rxop.map(responses => {
+                            return missing.map(id => {
+                                return (responses || []).find(response => response && response.id === id) || null;
+                            });
+                        })
+                    ) : rx.forkJoin(missing.map(id => {
+                        return this.options.get({
+                                namespace,
+                                id
+                            })
+                            .pipe(
+                                rxop.defaultIfEmpty(null)
+                            );
+                    }));
+
+                return backend.pipe(
+                    rxop.mergeMap(responses => {
+                        return rx.forkJoin(missing.map((id, index) => {
+                            return this._receive(namespace, id, responses[index], options);
+                        }));
+                    }),
+                    rxop.map(responses => {
+                        missing.forEach((id, index) => {
+                            result[id] = responses[index];
+                        });
+
+                        return result;
+                    })
+                );
+            })
+            .pipe(
+                rxop.map(result => {
+                    ids.forEach(id => {
+                        result[id] = this._versioned(namespace, id, result[id], options);
+                    });
+
+                    return result;
+                })
+            );
+    }
+
+    _version(namespace, options) {
+        const {
+            version
+        } = options;
+
+        if (version && typeof version === 'object') {
+            return version[namespace] === undefined ? null : version[namespace];
+        }
+
+        return version === undefined ? null : version;
+    }
+
+    _versioned(namespace, id, response, options) {
+        const {
+            record
+        } = response;
+
+        const version = this._version(namespace, options);
+
+        if (version === null || record.value === undefined || record.version === version) {
+            return response;
+        }
+
+        if (typeof options.migrate === 'function') {
+            try {
+                const value = options.migrate(record.value, record.version);
+
+                if (value !== undefined) {
+                    this._emit('migrate', {
+                        namespace,
+                        id,
+                        from: record.version,
+                        to: version
+                    });
+
+                    return {
+                        ...response,
+                        record: {
+                            ...record,
+                            value,
+                            version
+                        }
+                    };
+                }
+            } catch (err) {
+                this._emit('error', {
+                    namespace,
+                    id,
+                    error: err,
+                    stage: 'migrate'
+                });
+            }
+        }
+
+        this._emit('version-mismatch', {
+            namespace,
+            id,
+            version: record.version
+        });
+
+        return {
+            record: {},
+            size: 0
+        };
+    }
+
+    _recall(namespace, id, options = this._options(namespace)) {
+        if (!this.memory) {
+            return null;
+        }
+
+        const key = this._key(namespace, id);
+        const cached = this.memory.get(key);
+
+        if (cached && this._expired(cached, options)) {
+            this.memory.delete(key);
+        } else if (cached) {
+            this.tiers.memory.hits++;
+
+            // memory keeps serialized values so every hit gets its own copy
+            return {
+                record: this._deserialize(cached, options),
+                size: this.memory.sizeOf(key)
+            };
+        }
+
+        this.tiers.memory.misses++;
+
+        return null;
+    }
+
+    _receive(namespace, id, response, options = this._options(namespace)) {
+        if (response && this._expired(response, options)) {
+            this._expire(namespace, id, options);
+            response = null;
+        }
+
+        if (!response) {
+            this.tiers.backend.misses++;
+
+            return rx.of({
+                record: {},
+                size: 0
+            });
+        }
+
+        if (response.chunks) {
+            return this._assemble(namespace, id, response)
+                .pipe(
+                    rxop.mergeMap(assembled => {
+                        // chunks of a replaced manifest get pruned, readers holding it just miss
+                        if (!assembled) {
+                            this.tiers.backend.misses++;
+
+                            return rx.of({
+                                record: {},
+                                size: 0
+                            });
+                        }
+
+                        return this._receive(namespace, id, assembled, options);
+                    })
+                );
+        }
+
+        if (response.checksum && response.checksum !== this._checksum(response.value)) {
+            return this._corrupt(namespace, id, new Error('Checksum mismatch.'), options);
+        }
+
+        // undecryptable records are misses, backend keeps them until overwritten
+        try {
+            response = this._decrypt(response, options);
+        } catch (err) {
+            this._emit('error', {
+                namespace,
+                id,
+                error: err,
+                stage: 'decrypt'
+            });
+
+            this.tiers.backend.misses++;
+
+            return rx.of({
+                record: {},
+                size: 0
+            });
+        }
+
+        return this._decode(response, options)
+            .pipe(
+                // sized like set, after decompression and before deserializing
+                rxop.map(response => ({
+                    record: this._deserialize(response, options),
+                    serialized: response,
+                    size: this._sizeOf(response.value)
+                })),
+                rxop.tap(({
+                    record,
+                    serialized,
+                    size
+                }) => {
+                    if (record.value !== undefined) {
+                        this.tiers.backend.hits++;
+                    } else {
+                        this.tiers.backend.misses++;
+                    }
+
+                    if (this.memory && record.value !== undefined) {
+                        const {
+                            checksum,
+                            ...rest
+                        } = serialized;
+
+                        this.memory.set(this._key(namespace, id), rest, size);
+                    }
+                }),
+                rxop.map(({
+                    record,
+                    size
+                }) => ({
+                    record,
+                    size
+                })),
+                rxop.catchError(err => this._corrupt(namespace, id, err, options))
+            );
+    }
+
+    _corrupt(namespace, id, error, options = this._options(namespace)) {
+        this._emit('corrupt', {
+            namespace,
+            id,
+            error
+        });
+
+        this.tiers.backend.misses++;
+
+        if (options.deleteCorrupt) {
+            this._delete({
+                    namespace,
+                    id
+                }, options)
+                .subscribe({
+                    error: err => this._emit('error', {
+                        namespace,
+                        id,
+                        error: err,
+                        stage: 'corrupt'
+                    })
+                });
+        }
+
+        return rx.of({
+            record: {},
+            size: 0
+        });
+    }
+
+    _checksum(value) {
+        const data = typeof value === 'string' || Buffer.isBuffer(value) ? value : JSON.stringify(value);
+
+        return crypto.createHash('sha256')
+            .update(data === undefined ? '' : data)
+            .digest('hex');
+    }
+
+    _sign(record, options) {
+        if (!options.checksum) {
+            return record;
+        }
+
+        return {
+            ...record,
+            checksum: this._checksum(record.value)
+        };
+    }
+
+    _replay(record) {
+        if (record.sequence && Array.isArray(record.value)) {
+            return rx.from(record.value);
+        }
+
+        return rx.of(record.value);
+    }
+
+    _cacheable(value, options) {
+        if (value === undefined) {
+            return false;
+        }
+
+        return value !== null || Boolean(options.cacheNull);
+    }
+
+    _ttr(record, options) {
+        const ttr = record.value === null && typeof options.negativeTtr === 'number' ? options.negativeTtr : options.ttr;
+
+        if (!options.ttrJitter) {
+            return ttr;
+        }
+
+        // derived from record, so every process agrees on the same refresh time
+        const hash = crypto.createHash('md5')
+            .update(`${this._key(record.namespace, record.id)}:${record.createdAt}`)
+            .digest();
+
+        return ttr * (1 - Math.min(options.ttrJitter, 1) * hash.readUInt32BE(0) / 0xFFFFFFFF);
+    }
+
+    // xfetch, probability of refreshing grows as age approaches ttr and with source duration
+    _refreshEarly(record, age, ttr, options) {
+        const beta = options.earlyRefresh === true ? 1 : options.earlyRefresh;
+
+        if (!beta || !record.delta) {
+            return false;
+        }
+
+        return age - record.delta * beta * Math.log(Math.random()) >= ttr;
+    }
+
+    _expired(record, options = this.options) {
+        if (!options.enforceTtl || !record.ttl) {
+            return false;
+        }
+
+        return record.ttl * 1000 <= this._now();
+    }
+
+    _expire(namespace, id, options = this._options(namespace)) {
+        this._emit('expired', {
+            namespace,
+            id
+        });
+
+        if (!options.deleteExpired) {
+            return;
+        }
+
+        this._delete({
+                namespace,
+                id
+            }, options)
+            .subscribe({
+                error: err => this._emit('error', {
+                    namespace,
+                    id,
+                    error: err,
+                    stage: 'expire'
+                })
+            });
+    }
+
+    // unknown serializers throw right away, they are configuration errors rather than corrupt records
+    _decode(response, options = this.options) {
+        const serializer = this._serializer(options, response.codec || this._defaultSerializerName(options));
+
+        if (serializer.name === 'raw') {
+            return rx.of(response);
+        }
+
+        return this._decompress(response);
+    }
+
+    _deserialize(record, options = this.options) {
+        const serializer = this._serializer(options, record.codec || this._defaultSerializerName(options));
+
+        if (serializer.name === 'raw' || record.value === undefined || record.value === null) {
+            return {
+                ...record
+            };
+        }
+
+        return {
+            ...record,
+            value: serializer.deserialize(record.value)
+        };
+    }
+
+    _defaultSerializerName(options) {
+        return options.json ? 'json' : 'raw';
+    }
+
+    _serializer(options, name) {
+        const {
+            serializer
+        } = options;
+
+        const available = {
+            ...serializers,
+            ...options.serializers
+        };
+
+        if (serializer && typeof serializer === 'object') {
+            available[serializer.name] = serializer;
+        }
+
+        if (!name) {
+            if (serializer && typeof serializer === 'object') {
+                name = serializer.name;
+            } else {
+                name = serializer || this._defaultSerializerName(options);
+            }
+        }
+
+        if (!available[name]) {
+            throw new Error(`Unknown serializer "${name}".`);
+        }
+
+        return available[name];
+    }
+
+    _compression(options) {
+        const {
+            compression,
+            gzip
+        } = options;
+
+        if (compression) {
+            const {
+                algorithm = 'gzip',
+                level,
+                threshold = 0
+            } = typeof compression === 'string' ? {
+                algorithm: compression
+            } : compression;
+
+            return {
+                algorithm,
+                level,
+                threshold
+            };
+        }
+
+        if (gzip === true) {
+            return {
+                algorithm: 'gzip',
+                threshold: 0
+            };
+        }
+
+        if (typeof gzip === 'number') {
+            return {
+                algorithm: 'gzip',
+                threshold: gzip
+            };
+        }
+
+        return null;
+    }
+
+    _codec(algorithm, level) {
+        const codecs = {
+            brotli: {
+                compress: zlib.brotliCompress,
+                decompress: zlib.brotliDecompress,
+                options: level === undefined ? {} : {
+                    params: {
+                        [zlib.constants.BROTLI_PARAM_QUALITY]: level
+                    }
+                }
+            },
+            deflate: {
+                compress: zlib.deflate,
+                decompress: zlib.inflate,
+                options: level === undefined ? {} : {
+                    level
+                }
+            },
+            gzip: {
+                compress: zlib.gzip,
+                decompress: zlib.gunzip,
+                options: level === undefined ? {} : {
+                    level
+                }
+            }
+        };
+
+        if (!codecs[algorithm]) {
+            throw new Error(`Unknown compression "${algorithm}".`);
+        }
+
+        return codecs[algorithm];
+    }
+
+    _compress(data, options = this.options) {
+        return new rx.Observable(subscriber => {
+            if (
+                typeof data.value !== 'string' &&
+                !Buffer.isBuffer(data.value)
+            ) {
+                throw new Error('value must be string or Buffer.');
+            }
+
+            const compression = this._compression(options);
+
+            if (
+                compression &&
+                Buffer.byteLength(data.value) > compression.threshold * 1000
+            ) {
+                const codec = this._codec(compression.algorithm, compression.level);
+
+                return codec.compress(data.value, codec.options, (err, buffer) => {
+                    if (err) {
+                        return subscriber.error(err);
+                    }
+
+                    subscriber.next({
+                        ...data,
+                        compression: compression.algorithm,
+                        value: buffer
+                    });
+                    subscriber.complete();
+                });
+            }
+
+            subscriber.next(data);
+            subscriber.complete();
+        });
+    }
+
+    _decompress(data) {
+        return new rx.Observable(subscriber => {
+            const {
+                compression,
+                ...rest
+            } = data;
+
+            const {
+                value
+            } = data;
+
+            let algorithm = compression;
+
+            // records written before compression was recorded
+            if (
+                !algorithm &&
+                Buffer.isBuffer(value) &&
+                value.length >= 3 &&
+                value[0] === 0x1F &&
+                value[1] === 0x8B &&
+                value[2] === 0x08
+            ) {
+                algorithm = 'gzip';
+            }
+
+            if (algorithm && Buffer.isBuffer(value)) {
+                const codec = this._codec(algorithm);
+
+                return codec.decompress(value, (err, value) => {
+                    if (err) {
+                        return subscriber.error(err);
+                    }
+
+                    subscriber.next({
+                        ...rest,
+                        value: value.toString()
+                    });
+                    subscriber.complete();
+                });
+            }
+
+            subscriber.next(data);
+            subscriber.complete();
+        });
+    }
+
+    _cipherKey(options, kid) {
+        const {
+            keys = {}
+        } = options.encryption || {};
+
+        if (!keys[kid]) {
+            throw new Error(`Unknown encryption key "${kid}".`);
+        }
+
+        const key = Buffer.isBuffer(keys[kid]) ? keys[kid] : Buffer.from(keys[kid], 'base64');
+
+        if (key.length !== 32) {
+            throw new Error(`Encryption key "${kid}" must be 32 bytes.`);
+        }
+
+        return key;
+    }
+
+    // iv (12 bytes), auth tag (16 bytes) and ciphertext, first plaintext byte tells Buffer from string
+    _encrypt(record, options = this.options) {
+        if (!options.encryption) {
+            return record;
+        }
+
+        const {
+            value
+        } = record;
+
+        if (
+            typeof value !== 'string' &&
+            !Buffer.isBuffer(value)
+        ) {
+            throw new Error('value must be string or Buffer.');
+        }
+
+        const kid = options.encryption.key;
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this._cipherKey(options, kid), iv);
+
+        // binds ciphertext to its key, records can't be swapped
+        cipher.setAAD(Buffer.from(this._key(record.namespace, record.id)));
+
+        const data = Buffer.concat([
+            cipher.update(Buffer.concat([
+                Buffer.from([Buffer.isBuffer(value) ? 1 : 0]),
+                Buffer.from(value)
+            ])),
+            cipher.final()
+        ]);
+
+        return {
+            ...record,
+            kid,
+            value: Buffer.concat([iv, cipher.getAuthTag(), data])
+        };
+    }
+
+    _decrypt(record, options = this.options) {
+        const {
+            kid,
+            ...rest
+        } = record;
+
+        if (!kid) {
+            return record;
+        }
+
+        if (!Buffer.isBuffer(record.value) || record.value.length < 28) {
+            throw new Error('Encrypted value must be a Buffer.');
+        }
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this._cipherKey(options, kid), record.value.slice(0, 12));
+
+        decipher.setAAD(Buffer.from(this._key(record.namespace, record.id)));
+        decipher.setAuthTag(record.value.slice(12, 28));
+
+        const data = Buffer.concat([
+            decipher.update(record.value.slice(28)),
+            decipher.final()
+        ]);
+
+        const value = data.slice(1);
+
+        return {
+            ...rest,
+            value: data[0] === 1 ? value : value.toString()
+        };
+    }
+
+    // stamped, so writes never touch chunks the current manifest points to
+    _chunkId(id, stamp, index) {
+        return `${id}:chunk:${stamp}:${index}`;
+    }
+
+    _chunk(record, options) {
+        const {
+            maxChunkSize
+        } = options;
+
+        const {
+            value
+        } = record;
+
+        if (
+            !maxChunkSize ||
+            (typeof value !== 'string' && !Buffer.isBuffer(value)) ||
+            Buffer.byteLength(value) <= maxChunkSize
+        ) {
+            return null;
+        }
+
+        const buffer = Buffer.from(value);
+        const stamp = crypto.randomBytes(8)
+            .toString('hex');
+
+        const chunks = [];
+
+        for (let offset = 0; offset < buffer.length; offset += maxChunkSize) {
+            chunks.push({
+                createdAt: record.createdAt,
+                id: this._chunkId(record.id, stamp, chunks.length),
+                namespace: record.namespace,
+                stamp,
+                ttl: record.ttl,
+                value: buffer.slice(offset, offset + maxChunkSize)
+            });
+        }
+
+        return {
+            chunks,
+            manifest: {
+                ...record,
+                chunks: {
+                    count: chunks.length,
+                    stamp,
+                    type: Buffer.isBuffer(value) ? 'buffer' : 'string'
+                },
+                value: null
+            }
+        };
+    }
+
+    // null if any chunk is missing or belongs to another write
+    _assemble(namespace, id, manifest) {
+        const {
+            chunks: {
+                count,
+                stamp,
+                type
+            },
+            ...rest
+        } = manifest;
+
+        return rx.forkJoin(Array.from({
+                length: count
+            }, (value, index) => {
+                return this.options.get({
+                        namespace,
+                        id: this._chunkId(id, stamp, index)
+                    })
+                    .pipe(
+                        rxop.defaultIfEmpty(null)
+                    );
+            }))
+            .pipe(
+                rxop.map(chunks => {
+                    if (chunks.some(chunk => !chunk || chunk.stamp !== stamp || !Buffer.isBuffer(chunk.value))) {
+                        return null;
+                    }
+
+                    const value = Buffer.concat(chunks.map(chunk => chunk.value));
+
+                    return {
+                        ...rest,
+                        value: type === 'string' ? value.toString() : value
+                    };
+                })
+            );
+    }
+
+    _write(record, options) {
+        const chunked = this._chunk(record, options);
 
-        const sourceAndSet = args => {
-            return source(args)
+        // chunks first, so manifest never points to missing chunks
+        const write = () => chunked ? rx.concat(
+            rx.forkJoin(chunked.chunks.map(chunk => {
+                    return options.set(chunk)
+                        .pipe(
+                            rxop.defaultIfEmpty(null)
+                        );
+                }))
                 .pipe(
-                    rxop.mergeMap(response => {
-                        if (typeof options.setFilter !== 'function') {
-                            options.setFilter = () => true;
-                        }
+                    rxop.ignoreElements()
+                ),
+            options.set(chunked.manifest)
+        ) : options.set(record);
 
-                        if (options.setFilter(response)) {
-                            return _set(response)
-                                .pipe(
-                                    rxop.mapTo(response)
-                                );
-                        }
-
-                        return rx.of(response);
-                    })
-                );
-        };
+        return this._storedChunks(record.namespace, record.id, options)
+            .pipe(
+                rxop.mergeMap(previous => rx.concat(
+                    write(),
+                    this._prune(record.namespace, record.id, previous)
+                ))
+            );
+    }
 
-        if (options.refresh) {
-            return sourceAndSet(args);
+    // chunks of the manifest currently stored under id, null if not chunked
+    _storedChunks(namespace, id, options) {
+        if (!options.maxChunkSize) {
+            return rx.of(null);
         }
 
-        return this._get({
+        return this.options.get({
                 namespace,
                 id
             })
             .pipe(
-                rxop.mergeMap(response => {
-                    const {
-                        value = null,
-                        createdAt = 0
-                    } = response;
-
-                    if (!value) {
-                        return sourceAndSet(args);
-                    }
-
-                    const expired = Date.now() - createdAt >= options.ttr ? true : false;
+                rxop.defaultIfEmpty(null),
+                rxop.map(record => record && record.chunks ? record.chunks : null)
+            );
+    }
 
-                    if (expired) {
-                        return sourceAndSet(args);
-                    }
+    // deletes chunks of a replaced or removed manifest, once nothing new points to them
+    _prune(namespace, id, chunks) {
+        if (!chunks) {
+            return rx.EMPTY;
+        }
 
-                    return rx.of(value);
-                })
+        return rx.from(Array.from({
+                length: chunks.count
+            }, (value, index) => this._chunkId(id, chunks.stamp, index)))
+            .pipe(
+                rxop.mergeMap(id => this.options.del({
+                    namespace,
+                    id
+                })),
+                rxop.ignoreElements()
             );
     }
 
-    _get(args) {
+    _delete(args, options = this._options(args.namespace)) {
         const {
             namespace,
             id
         } = args;
 
-        if (!namespace) {
-            return rx.throwError(new Error('No namespace provided.'));
-        }
-
-        return this.options.get({
+        if (!options.maxChunkSize) {
+            return this.options.del({
                 namespace,
                 id
-            })
+            });
+        }
+
+        return this._storedChunks(namespace, id, options)
             .pipe(
-                rxop.mergeMap(response => {
-                    if (!response) {
-                        return rx.of({});
-                    }
+                rxop.mergeMap(chunks => rx.concat(
+                    this._prune(namespace, id, chunks),
+                    rx.defer(() => this.options.del({
+                        namespace,
+                        id
+                    }))
+                ))
+            );
+    }
 
-                    if (!this.options.json) {
-                        return rx.of(response);
-                    }
+    _set(args, options) {
+        const {
+            id,
+            namespace,
+            value
+        } = args;
 
-                    return this._gunzip(response);
-                }),
-                rxop.map(response => {
-                    if (
-                        this.options.json &&
-                        response.value
-                    ) {
-                        return {
-                            ...response,
-                            value: JSON.parse(response.value)
-                        };
-                    }
+        options = this._options(namespace, options);
 
-                    return response;
-                }),
-                rxop.defaultIfEmpty({})
+        if (!namespace) {
+            return rx.throwError(new Error('No namespace provided.'));
+        }
+
+        if (!this._cacheable(value, options)) {
+            return rx.empty();
+        }
+
+        return this._encode(args, options)
+            .pipe(
+                rxop.mergeMap(encoded => {
+                    return rx.concat(
+                        this._write(encoded.record, options)
+                            .pipe(
+                                this._remember([encoded]),
+                                this._measure(latency => this._emitSet([encoded], latency))
+                            ),
+                        this._tag([encoded.record], options)
+                    );
+                })
             );
     }
 
-    _gzip(data) {
-        return new rx.Observable(subscriber => {
-            let compress = true;
+    _encode(args, options) {
+        const {
+            id,
+            namespace,
+            value
+        } = args;
 
-            if (
-                typeof data.value !== 'string' &&
-                !Buffer.isBuffer(data.value)
-            ) {
-                throw new Error('value must be string or Buffer.');
+        return rx.defer(() => {
+            const serializer = this._serializer(options);
+            const serialized = serializer.serialize(value);
+            const meta = serializer.name !== 'json' ? {
+                codec: serializer.name
+            } : {};
+
+            if (options.sequence) {
+                meta.sequence = true;
             }
 
-            if (typeof this.options.gzip === 'boolean') {
-                compress = this.options.gzip;
-            } else if (typeof this.options.gzip === 'number') {
-                compress = Buffer.byteLength(data.value) > this.options.gzip * 1000;
-            } else {
-                compress = false;
+            if (typeof options.delta === 'number') {
+                meta.delta = options.delta;
             }
 
-            if (compress) {
-                return zlib.gzip(data.value, (err, buffer) => {
-                    if (err) {
-                        return subscriber.error(err);
-                    }
+            if (this._version(namespace, options) !== null) {
+                meta.version = this._version(namespace, options);
+            }
 
-                    subscriber.next({
-                        ...data,
-                        value: buffer
-                    });
-                    subscriber.complete();
+            if (Array.isArray(options.tags) && options.tags.length) {
+                meta.tags = Array.from(new Set(options.tags));
+            }
+
+            if (serializer.name === 'raw') {
+                return rx.of({
+                    record: this._sign(this._encrypt({
+                        createdAt: this._now(),
+                        id,
+                        namespace,
+                        ttl: Math.floor((this._now() + options.ttl) / 1000),
+                        value: serialized,
+                        ...meta
+                    }, options), options),
+                    serialized,
+                    size: this._sizeOf(value),
+                    value
                 });
             }
 
-            subscriber.next(data);
-            subscriber.complete();
+            return this._compress({
+                    ...args,
+                    value: serialized
+                }, options)
+                .pipe(
+                    rxop.map(response => {
+                        return {
+                            record: this._sign(this._encrypt({
+                                ...response,
+                                ...meta,
+                                createdAt: this._now(),
+                                ttl: Math.floor((this._now() + options.ttl) / 1000)
+                            }, options), options),
+                            serialized,
+                            size: this._sizeOf(serialized),
+                            value: serializer.deserialize(serialized)
+                        };
+                    })
+                );
         });
     }
 
-    _gunzip(data) {
-        return new rx.Observable(subscriber => {
-            const {
-                value
-            } = data;
+    _remember(encoded) {
+        const save = () => {
+            if (!this.memory) {
+                return;
+            }
 
-            if (
-                Buffer.isBuffer(value) &&
-                value.length >= 3 &&
-                value[0] === 0x1F &&
-                value[1] === 0x8B &&
-                value[2] === 0x08
-            ) {
-                return zlib.gunzip(value, (err, value) => {
-                    if (err) {
-                        return subscriber.error(err);
-                    }
+            encoded.forEach(({
+                record,
+                serialized,
+                size
+            }) => {
+                const {
+                    checksum,
+                    compression,
+                    kid,
+                    ...rest
+                } = record;
 
-                    subscriber.next({
-                        ...data,
-                        value: value.toString()
-                    });
-                    subscriber.complete();
-                });
-            }
+                this.memory.set(this._key(record.namespace, record.id), {
+                    ...rest,
+                    value: serialized
+                }, size);
+            });
+        };
 
-            subscriber.next(data);
-            subscriber.complete();
+        // backends may complete without emitting
+        return rxop.tap({
+            next: save,
+            complete: save
         });
     }
 
-    _set(args, options) {
+    _emitSet(encoded, latency) {
+        encoded.forEach(({
+            record,
+            size
+        }) => {
+            this._emit('set', {
+                namespace: record.namespace,
+                id: record.id,
+                latency,
+                size,
+                storedSize: this._sizeOf(record.value)
+            });
+        });
+    }
+
+    setMany(args, options) {
         const {
-            id,
             namespace,
-            value
+            values = {}
         } = args;
 
-        options = {
-            ...this.options,
-            ...options
-        };
+        options = this._options(namespace, options);
 
         if (!namespace) {
             return rx.throwError(new Error('No namespace provided.'));
         }
 
-        if (!value) {
+        const ids = Object.keys(values)
+            .filter(id => this._cacheable(values[id], options));
+
+        if (!ids.length) {
             return rx.empty();
         }
 
-        if (!options.json) {
-            return options.set({
-                createdAt: Date.now(),
-                id,
-                namespace,
-                ttl: Math.floor((Date.now() + options.ttl) / 1000),
-                value
-            });
+        if (!options.setMany) {
+            return rx.forkJoin(ids.map(id => {
+                return this._set({
+                        namespace,
+                        id,
+                        value: values[id]
+                    }, options)
+                    .pipe(
+                        rxop.defaultIfEmpty(null)
+                    );
+            }));
         }
 
-        return this._gzip({
-                ...args,
-                value: JSON.stringify(value)
-            })
+        return rx.forkJoin(ids.map(id => {
+                return this._encode({
+                    namespace,
+                    id,
+                    value: values[id]
+                }, options);
+            }))
             .pipe(
-                rxop.mergeMap(response => {
-                    return options.set({
-                        ...response,
-                        createdAt: Date.now(),
-                        ttl: Math.floor((Date.now() + options.ttl) / 1000)
-                    });
+                rxop.mergeMap(encoded => {
+                    const records = encoded.map(({
+                        record
+                    }) => record);
+
+                    const chunked = records.map(record => this._chunk(record, options));
+                    const chunks = chunked.reduce((reduction, chunk) => {
+                        return chunk ? reduction.concat(chunk.chunks) : reduction;
+                    }, []);
+
+                    const write = () => chunks.length ? rx.concat(
+                        options.setMany(chunks)
+                            .pipe(
+                                rxop.ignoreElements()
+                            ),
+                        options.setMany(records.map((record, index) => {
+                            return chunked[index] ? chunked[index].manifest : record;
+                        }))
+                    ) : options.setMany(records);
+
+                    return rx.forkJoin(records.map(record => this._storedChunks(namespace, record.id, options)))
+                        .pipe(
+                            rxop.mergeMap(previous => rx.concat(
+                                write()
+                                    .pipe(
+                                        this._remember(encoded),
+                                        this._measure(latency => this._emitSet(encoded, latency))
+                                    ),
+                                rx.merge(...records.map((record, index) => {
+                                    return this._prune(namespace, record.id, previous[index]);
+                                })),
+                                this._tag(records, options)
+                            ))
+                        );
                 })
             );
     }
@@ -274,9 +2210,66 @@ module.exports = class CacheDriver {
             return rx.throwError(new Error('No namespace provided.'));
         }
 
-        return this.options.del({
+        return rx.defer(() => {
+            if (this.memory) {
+                this.memory.delete(this._key(namespace, id));
+            }
+
+            return this._delete({
+                    namespace,
+                    id
+                })
+                .pipe(
+                    this._measure(latency => this._emit('del', {
+                        namespace,
+                        id,
+                        latency
+                    }))
+                );
+        });
+    }
+
+    delMany(args) {
+        const {
             namespace,
-            id
+            ids = []
+        } = args;
+
+        if (!namespace) {
+            return rx.throwError(new Error('No namespace provided.'));
+        }
+
+        // chunks are found through each manifest
+        if (!this.options.delMany || this._options(namespace).maxChunkSize) {
+            return rx.forkJoin(ids.map(id => {
+                return this.del({
+                        namespace,
+                        id
+                    })
+                    .pipe(
+                        rxop.defaultIfEmpty(null)
+                    );
+            }));
+        }
+
+        return rx.defer(() => {
+            if (this.memory) {
+                ids.forEach(id => this.memory.delete(this._key(namespace, id)));
+            }
+
+            return this.options.delMany({
+                    namespace,
+                    ids
+                })
+                .pipe(
+                    this._measure(latency => {
+                        ids.forEach(id => this._emit('del', {
+                            namespace,
+                            id,
+                            latency
+                        }));
+                    })
+                );
         });
     }
 
@@ -290,18 +2283,205 @@ module.exports = class CacheDriver {
             return rx.throwError(new Error('No namespace provided.'));
         }
 
-        return this.options.get({
-                namespace,
-                id
+        return rx.defer(() => {
+                if (this.memory) {
+                    this.memory.delete(this._key(namespace, id));
+                }
+
+                return this.options.get({
+                    namespace,
+                    id
+                });
             })
             .pipe(
                 rxop.mergeMap(response => {
+                    if (!response) {
+                        return rx.of(null);
+                    }
+
                     response.createdAt = 0;
 
                     return this.options.set(response);
                 })
             );
+    }
+
+    invalidateTags(tags, options = {}) {
+        if (!Array.isArray(tags) || !tags.length) {
+            return rx.throwError(new Error('No tags provided.'));
+        }
+
+        // indexes are read and dropped in one queued step, so entries tagged meanwhile land in a fresh index
+        const take = tag => this._queueTag(tag, () => {
+            return this._getTag(tag)
+                .pipe(
+                    rxop.mergeMap(index => {
+                        // on refresh entries keep their tags until next set
+                        if (options.refresh) {
+                            return rx.of(index);
+                        }
+
+                        return rx.concat(
+                            this.options.del({
+                                    namespace: this.options.tagsNamespace,
+                                    id: tag
+                                })
+                                .pipe(
+                                    rxop.ignoreElements()
+                                ),
+                            rx.of(index)
+                        );
+                    })
+                );
+        });
+
+        return rx.defer(() => rx.forkJoin(tags.map(take)))
+            .pipe(
+                rxop.mergeMap(indexes => {
+                    const entries = new Map();
+
+                    indexes.forEach(index => {
+                        index.entries.forEach(entry => {
+                            entries.set(this._key(entry.namespace, entry.id), entry);
+                        });
+                    });
+
+                    const invalidate = rx.from(entries.values())
+                        .pipe(
+                            rxop.mergeMap(entry => {
+                                return options.refresh ? this.markToRefresh(entry) : this.del(entry);
+                            })
+                        );
+
+                    return rx.concat(
+                        invalidate
+                            .pipe(
+                                rxop.ignoreElements()
+                            ),
+                        rx.of(Array.from(entries.values()))
+                    );
+                })
+            );
+    }
+
+    _getTag(tag) {
+        return this.options.get({
+                namespace: this.options.tagsNamespace,
+                id: tag
+            })
+            .pipe(
+                rxop.defaultIfEmpty(null),
+                rxop.map(response => {
+                    if (!response || !response.value) {
+                        return {
+                            entries: [],
+                            ttl: 0
+                        };
+                    }
+
+                    // unreadable indexes are empty, next tagged set overwrites them
+                    try {
+                        const entries = JSON.parse(response.value);
+
+                        if (!Array.isArray(entries)) {
+                            throw new Error('Tag index is not an array.');
+                        }
+
+                        return {
+                            entries,
+                            ttl: response.ttl || 0
+                        };
+                    } catch (err) {
+                        this._emit('corrupt', {
+                            namespace: this.options.tagsNamespace,
+                            id: tag,
+                            error: err
+                        });
+
+                        return {
+                            entries: [],
+                            ttl: 0
+                        };
+                    }
+                })
+            );
+    }
+
+    // runs index reads and writes for one tag one after another, so concurrent sets don't drop each other's entries
+    _queueTag(tag, factory) {
+        const previous = this.tagQueues.get(tag) || rx.EMPTY;
+        const cleanup = () => {
+            if (this.tagQueues.get(tag) === queued) {
+                this.tagQueues.delete(tag);
+            }
+        };
+
+        const queued = rx.concat(
+                previous.pipe(
+                    rxop.ignoreElements(),
+                    rxop.catchError(() => rx.EMPTY)
+                ),
+                rx.defer(factory)
+            )
+            .pipe(
+                rxop.tap({
+                    complete: cleanup,
+                    error: cleanup
+                }),
+                rxop.finalize(cleanup),
+                // started updates finish even if caller unsubscribes
+                rxop.share({
+                    connector: () => new rx.ReplaySubject(),
+                    resetOnComplete: false,
+                    resetOnError: false,
+                    resetOnRefCountZero: false
+                })
+            );
+
+        this.tagQueues.set(tag, queued);
+
+        return queued;
+    }
+
+    _tag(records, options) {
+        const tags = {};
+
+        records.forEach(record => {
+            (record.tags || []).forEach(tag => {
+                tags[tag] = tags[tag] || [];
+                tags[tag].push({
+                    namespace: record.namespace,
+                    id: record.id
+                });
+            });
+        });
+
+        return rx.from(Object.keys(tags))
+            .pipe(
+                rxop.mergeMap(tag => {
+                    return this._queueTag(tag, () => this._getTag(tag)
+                        .pipe(
+                            rxop.mergeMap(index => {
+                                const keys = new Set(index.entries.map(entry => this._key(entry.namespace, entry.id)));
+                                const added = tags[tag].filter(entry => !keys.has(this._key(entry.namespace, entry.id)));
+                                const ttl = Math.floor((this._now() + options.ttl) / 1000);
 
+                                if (!added.length && index.ttl >= ttl) {
+                                    return rx.EMPTY;
+                                }
+
+                                return this.options.set({
+                                    createdAt: this._now(),
+                                    id: tag,
+                                    namespace: this.options.tagsNamespace,
+                                    ttl: Math.max(index.ttl, ttl),
+                                    value: JSON.stringify(index.entries.concat(added))
+                                });
+                            })
+                        ));
+                }),
+                rxop.ignoreElements()
+            );
     }
 
     clear(args = {}) {
@@ -313,6 +2493,38 @@ module.exports = class CacheDriver {
             return rx.throwError(new Error('No namespace provided.'));
         }
 
-        return this.options.clear(args);
+        return rx.defer(() => {
+            if (this.memory) {
+                this.memory.clear(record => record.namespace === namespace);
+            }
+
+            return this.options.clear(args)
+                .pipe(
+                    this._measure(latency => this._emit('clear', {
+                        namespace,
+                        latency
+                    }))
+                );
+        });
+    }
+
+    _sizeOf(value) {
+        if (Buffer.isBuffer(value)) {
+            return value.length;
+        }
+
+        if (typeof value === 'string') {
+            return Buffer.byteLength(value);
+        }
+
+        try {
+            return Buffer.byteLength(JSON.stringify(value) || '');
+        } catch (err) {
+            return 0;
+        }
     }
-};
\ No newline at end of file
+};
+
+module.exports.adapters = adapters;
+module.exports.locks = locks;
+module.exports.serializers = serializers;
@@ -1,9 +1,14 @@
 const chai = require('chai');
+const crypto = require('crypto');
 const sinon = require('sinon');
 const sinonChai = require('sinon-chai');
 const zlib = require('zlib');
 
 const rx = require('rxjs');
+const rxop = require('rxjs/operators');
+const {
+    TestScheduler
+} = require('rxjs/testing');
 
 const CacheDriver = require('./');
 
@@ -255,262 +260,4145 @@ describe('index.js', () => {
                         });
                     }, null, done));
             });
+
+            describe('staleWhileRevalidate', () => {
+                it('should return stale value and refresh in background', done => {
+                    cacheDriver.get({
+                            namespace,
+                            id: 'existentId'
+                        }, source, {
+                            ttr: 0,
+                            staleWhileRevalidate: true
+                        })
+                        .pipe(
+                            rxop.toArray()
+                        )
+                        .subscribe(testRx(response => {
+                            expect(response).to.deep.equal(['cached']);
+                            expect(source).to.have.been.calledOnce;
+                            expect(cacheDriver.options.set).to.have.been.calledWith({
+                                createdAt,
+                                id: 'existentId',
+                                namespace,
+                                ttl: Math.floor((createdAt + cacheDriver.options.ttl) / 1000),
+                                value: JSON.stringify('fresh')
+                            });
+                        }, null, done));
+                });
+
+                it('should return stale value within stale window', done => {
+                    cacheDriver.get({
+                            namespace,
+                            id: 'existentId'
+                        }, source, {
+                            ttr: 0,
+                            staleWhileRevalidate: 1
+                        })
+                        .pipe(
+                            rxop.toArray()
+                        )
+                        .subscribe(testRx(response => {
+                            expect(response).to.deep.equal(['cached']);
+                            expect(source).to.have.been.calledOnce;
+                        }, null, done));
+                });
+
+                it('should refresh if stale window is over', done => {
+                    Date.now.returns(createdAt + 10);
+
+                    cacheDriver.get({
+                            namespace,
+                            id: 'existentId'
+                        }, source, {
+                            ttr: 0,
+                            staleWhileRevalidate: 10
+                        })
+                        .subscribe(testRx(response => {
+                            expect(response).to.equal('fresh');
+                        }, null, done));
+                });
+
+                it('should route revalidate errors to onRevalidateError', done => {
+                    const onRevalidateError = sinon.stub();
+
+                    source = sinon.stub()
+                        .returns(rx.throwError('ops...'));
+
+                    cacheDriver.get({
+                            namespace,
+                            id: 'existentId'
+                        }, source, {
+                            onRevalidateError,
+                            ttr: 0,
+                            staleWhileRevalidate: true
+                        })
+                        .subscribe(testRx(response => {
+                            expect(response).to.equal('cached');
+                        }), null, testRx(() => {
+                            expect(onRevalidateError).to.have.been.calledWith('ops...', {
+                                namespace,
+                                id: 'existentId'
+                            });
+                        }, null, done));
+                });
+            });
         });
 
-        describe('_get error', () => {
+        describe('earlyRefresh', () => {
             beforeEach(() => {
-                cacheDriver.options.get = () => rx.throwError('ops...');
+                sinon.stub(Math, 'random')
+                    .returns(0.5);
+
+                cacheDriver.options.get = sinon.spy(({
+                    namespace,
+                    id
+                }) => rx.of({
+                    namespace,
+                    id,
+                    value: JSON.stringify('cached'),
+                    createdAt,
+                    delta: 100
+                }));
             });
 
-            it('should throw', done => {
+            afterEach(() => {
+                Math.random.restore();
+            });
+
+            it('should store source duration', done => {
+                source = () => {
+                    Date.now.returns(createdAt + 50);
+
+                    return rx.of('fresh');
+                };
+
                 cacheDriver.get({
                         namespace,
-                        id: 'id'
-                    }, source)
-                    .subscribe(null, testRx(err => {
-                        expect(err).to.equal('ops...');
+                        id: 'inexistentId'
+                    }, source, {
+                        earlyRefresh: true,
+                        refresh: true
+                    })
+                    .subscribe(null, null, testRx(() => {
+                        expect(cacheDriver.options.set).to.have.been.calledWith({
+                            createdAt: createdAt + 50,
+                            delta: 50,
+                            id: 'inexistentId',
+                            namespace,
+                            ttl: Math.floor((createdAt + 50 + cacheDriver.options.ttl) / 1000),
+                            value: JSON.stringify('fresh')
+                        });
                     }, null, done));
             });
-        });
-
-        describe('non catched error', () => {
-            beforeEach(() => {
-                if (Date.now.restore) {
-                    Date.now.restore();
-                }
 
-                sinon.stub(Date, 'now')
-                    .throws(new Error('non catched error'));
-            });
+            it('should not refresh far from ttr', done => {
+                Date.now.returns(createdAt + 500);
 
-            it('should throw', done => {
                 cacheDriver.get({
                         namespace,
                         id: 'existentId'
-                    }, source)
-                    .subscribe(null, testRx(err => {
-                        expect(err.message).to.equal('non catched error');
+                    }, source, {
+                        earlyRefresh: true,
+                        ttr: 1000
+                    })
+                    .pipe(
+                        rxop.toArray()
+                    )
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal(['cached']);
+                        expect(source).not.to.have.been.called;
                     }, null, done));
             });
-        });
-    });
 
-    describe('_get', () => {
-        it('should throw if no namespace', done => {
-            cacheDriver._get({})
-                .subscribe(null, testRx(err => {
-                    expect(err.message).to.equal('No namespace provided.');
-                }, null, done));
-        });
+            it('should return cached value and refresh in background close to ttr', done => {
+                // 950 + 100 * ln(2) >= 1000
+                Date.now.returns(createdAt + 950);
 
-        it('should returns', done => {
-            cacheDriver._get({
-                    namespace,
-                    id: 'existentId'
-                })
-                .subscribe(testRx(response => {
-                    expect(response).to.deep.equal({
+                cacheDriver.get({
                         namespace,
-                        id: 'existentId',
-                        value: 'cached',
-                        createdAt: response.createdAt
-                    });
-                }, null, done));
-        });
+                        id: 'existentId'
+                    }, source, {
+                        earlyRefresh: true,
+                        ttr: 1000
+                    })
+                    .pipe(
+                        rxop.toArray()
+                    )
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal(['cached']);
+                        expect(source).to.have.been.calledOnce;
+                        expect(cacheDriver.options.set).to.have.been.called;
+                    }, null, done));
+            });
 
-        it('should returns', done => {
-            cacheDriver._get({
-                    namespace,
-                    id: 'existentId'
-                })
-                .subscribe(testRx(response => {
-                    expect(response).to.deep.equal({
-                        namespace,
-                        id: 'existentId',
-                        value: 'cached',
-                        createdAt: response.createdAt
-                    });
-                }, null, done));
-        });
+            it('should refresh earlier with greater beta', done => {
+                Date.now.returns(createdAt + 900);
 
-        describe('no value', () => {
-            it('should returns empty', done => {
-                cacheDriver._get({
+                cacheDriver.get({
                         namespace,
-                        id: 'inexistentId'
+                        id: 'existentId'
+                    }, source, {
+                        earlyRefresh: 2,
+                        ttr: 1000
                     })
-                    .subscribe(testRx(response => {
-                        expect(response).to.deep.equal({});
+                    .subscribe(null, null, testRx(() => {
+                        expect(source).to.have.been.calledOnce;
                     }, null, done));
             });
-        });
 
-        describe('null value', () => {
-            it('should returns empty', done => {
-                cacheDriver._get({
+            it('should not refresh without recorded duration', done => {
+                Date.now.returns(createdAt + 999);
+                cacheDriver.options.get = () => rx.of({
+                    value: JSON.stringify('cached'),
+                    createdAt
+                });
+
+                cacheDriver.get({
                         namespace,
-                        id: 'nullId'
+                        id: 'existentId'
+                    }, source, {
+                        earlyRefresh: true,
+                        ttr: 1000
                     })
-                    .subscribe(testRx(response => {
-                        expect(response).to.deep.equal({});
+                    .subscribe(null, null, testRx(() => {
+                        expect(source).not.to.have.been.called;
                     }, null, done));
             });
-        });
 
-        describe('on error', () => {
-            beforeEach(() => {
-                cacheDriver.options.get = () => rx.throwError('ops...');
-            });
+            it('should not refresh if disabled', done => {
+                Date.now.returns(createdAt + 999);
 
-            it('should throw', done => {
-                cacheDriver._get({
+                cacheDriver.get({
                         namespace,
-                        id: 'id'
+                        id: 'existentId'
+                    }, source, {
+                        ttr: 1000
                     })
-                    .subscribe(null, testRx(err => {
-                        expect(err).to.equal('ops...');
+                    .subscribe(null, null, testRx(() => {
+                        expect(source).not.to.have.been.called;
                     }, null, done));
             });
         });
 
-        describe('with gzip', () => {
-            beforeEach(() => {
-                cacheDriver.options.gzip = true;
-                cacheDriver.options.get = sinon.spy(({
+        describe('ttrJitter', () => {
+            it('should subtract up to jitter fraction of ttr', () => {
+                const ttrs = Array.from({
+                    length: 50
+                }, (value, index) => cacheDriver._ttr({
                     namespace,
-                    id
-                }) => {
-                    return rx.of({
+                    id: `id-${index}`,
+                    createdAt
+                }, {
+                    ttr: 1000,
+                    ttrJitter: 0.1
+                }));
+
+                ttrs.forEach(ttr => expect(ttr).to.be.within(900, 1000));
+                expect(new Set(ttrs).size).to.be.above(1);
+            });
+
+            it('should be stable for same record', () => {
+                const record = {
+                    namespace,
+                    id: 'id',
+                    createdAt
+                };
+
+                expect(cacheDriver._ttr(record, {
+                    ttr: 1000,
+                    ttrJitter: 0.5
+                })).to.equal(cacheDriver._ttr(record, {
+                    ttr: 1000,
+                    ttrJitter: 0.5
+                }));
+            });
+
+            it('should not apply by default', () => {
+                expect(cacheDriver._ttr({
+                    namespace,
+                    id: 'id',
+                    createdAt
+                }, cacheDriver.options)).to.equal(cacheDriver.options.ttr);
+            });
+        });
+
+        describe('lock', () => {
+            let lock;
+            let store;
+
+            beforeEach(done => {
+                lock = CacheDriver.locks.memory();
+                store = {
+                    existentId: {
                         namespace,
-                        id,
-                        value: zlib.gzipSync(JSON.stringify('cached')),
-                        createdAt
-                    });
-                });
+                        id: 'existentId',
+                        value: JSON.stringify('cached'),
+                        createdAt: createdAt - 1000
+                    }
+                };
+
+                sinon.spy(lock, 'acquire');
+                sinon.spy(lock, 'release');
+
+                cacheDriver.options.lock = lock;
+                cacheDriver.options.lockPoll = 1;
+                cacheDriver.options.get = ({
+                    id
+                }) => rx.of(store[id] || null);
+
+                // held by another process
+                lock.acquire({
+                        key: `${namespace}:existentId`,
+                        token: 'other',
+                        ttl: 60 * 1000
+                    })
+                    .subscribe(null, null, done);
             });
 
-            it('should unzip', done => {
-                cacheDriver._get({
+            it('should throw if invalid onLocked', done => {
+                cacheDriver.get({
                         namespace,
                         id: 'existentId'
+                    }, source, {
+                        onLocked: 'fail'
+                    })
+                    .subscribe(null, testRx(err => {
+                        expect(err.message).to.equal('onLocked must be wait or stale.');
+                    }, null, done));
+            });
+
+            it('should acquire, run source and release', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source, {
+                        ttr: 100
                     })
                     .subscribe(testRx(response => {
-                        expect(response).to.deep.equal({
-                            namespace,
-                            id: 'existentId',
-                            value: 'cached',
-                            createdAt: response.createdAt
+                        expect(response).to.equal('fresh');
+                        expect(lock.acquire).to.have.been.calledWithMatch({
+                            key: `${namespace}:inexistentId`,
+                            ttl: cacheDriver.options.lockTtl
                         });
+                        expect(cacheDriver.options.set).to.have.been.called;
+                    }), null, testRx(() => {
+                        expect(lock.release).to.have.been.calledOnce;
+                        expect(lock.release.firstCall.args[0].token).to.equal(lock.acquire.secondCall.args[0].token);
                     }, null, done));
             });
-        });
 
-        describe('no json', () => {
-            beforeEach(() => {
-                cacheDriver.options.json = false;
-            });
+            it('should release if source fails', done => {
+                source = () => rx.throwError('ops...');
 
-            afterEach(() => {
-                cacheDriver.options.json = true;
+                cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source)
+                    .subscribe(null, testRx(err => {
+                        expect(err).to.equal('ops...');
+                        expect(lock.release).to.have.been.calledOnce;
+                    }, null, done));
             });
 
-            it('should returns', done => {
-                cacheDriver._get({
+            it('should wait and reread if locked', done => {
+                const events = [];
+
+                cacheDriver.events.subscribe(event => events.push(event.type));
+
+                setTimeout(() => {
+                    store.existentId = {
+                        ...store.existentId,
+                        value: JSON.stringify('other'),
+                        createdAt
+                    };
+                }, 5);
+
+                cacheDriver.get({
                         namespace,
                         id: 'existentId'
+                    }, source, {
+                        ttr: 100
                     })
                     .subscribe(testRx(response => {
-                        expect(response).to.deep.equal({
-                            namespace,
-                            id: 'existentId',
-                            value: '"cached"',
-                            createdAt: response.createdAt
+                        expect(response).to.equal('other');
+                        expect(source).not.to.have.been.called;
+                        expect(events).to.include('locked');
+                    }, null, done));
+            });
+
+            it('should run source if lock is released without set', done => {
+                setTimeout(() => {
+                    lock.release({
+                            key: `${namespace}:existentId`,
+                            token: 'other'
+                        })
+                        .subscribe();
+                }, 5);
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source, {
+                        ttr: 100
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.equal('fresh');
+                        expect(source).to.have.been.calledOnce;
+                    }, null, done));
+            });
+
+            it('should run source after lockWait', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source, {
+                        lockWait: 0,
+                        ttr: 100
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.equal('fresh');
+                        expect(source).to.have.been.calledOnce;
+                    }, null, done));
+            });
+
+            it('should serve stale if locked', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source, {
+                        onLocked: 'stale',
+                        ttr: 100
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.equal('cached');
+                        expect(source).not.to.have.been.called;
+                    }, null, done));
+            });
+
+            it('should skip background refresh if locked', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source, {
+                        staleWhileRevalidate: true,
+                        ttr: 100
+                    })
+                    .pipe(
+                        rxop.toArray()
+                    )
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal(['cached']);
+                        expect(source).not.to.have.been.called;
+                    }, null, done));
+            });
+
+            it('should renew lease while source runs', done => {
+                sinon.spy(lock, 'renew');
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, () => rx.timer(30)
+                    .pipe(
+                        rxop.mapTo('fresh')
+                    ), {
+                        lockTtl: 10
+                    })
+                    .subscribe(null, null, testRx(() => {
+                        expect(lock.renew).to.have.been.called;
+                        expect(lock.renew).to.have.been.calledWithMatch({
+                            key: `${namespace}:inexistentId`,
+                            ttl: 10
+                        });
+                    }, null, done));
+            });
+
+            it('should report lost lease', done => {
+                const events = [];
+
+                lock.renew = () => rx.of(false);
+                cacheDriver.events.subscribe(event => events.push(event));
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, () => rx.timer(20)
+                    .pipe(
+                        rxop.mapTo('fresh')
+                    ), {
+                        lockTtl: 10
+                    })
+                    .subscribe(null, null, testRx(() => {
+                        const errors = events.filter(event => event.type === 'error');
+
+                        expect(errors).to.have.length(1);
+                        expect(errors[0]).to.include({
+                            namespace,
+                            id: 'inexistentId',
+                            stage: 'lock'
+                        });
+                        expect(errors[0].error.message).to.equal('Lock lease lost.');
+                    }, null, done));
+            });
+        });
+
+        describe('sourceTimeout', () => {
+            it('should fail if source is slower', () => {
+                const scheduler = new TestScheduler((actual, expected) => {
+                    expect(actual).to.deep.equal(expected);
+                });
+
+                cacheDriver.options.scheduler = scheduler;
+
+                scheduler.run(({
+                    cold,
+                    expectObservable
+                }) => {
+                    source = () => cold('20ms a|', {
+                        a: 'fresh'
+                    });
+
+                    expectObservable(cacheDriver.get({
+                            namespace,
+                            id: 'inexistentId'
+                        }, source, {
+                            sourceTimeout: 10
+                        })
+                        .pipe(
+                            rxop.catchError(err => rx.of(err.name))
+                        )).toBe('10ms (a|)', {
+                        a: 'TimeoutError'
+                    });
+
+                    expectObservable(cacheDriver.get({
+                        namespace,
+                        id: 'otherId'
+                    }, source, {
+                        sourceTimeout: 30
+                    })).toBe('20ms a|', {
+                        a: 'fresh'
+                    });
+                });
+            });
+        });
+
+        describe('retry', () => {
+            let scheduler;
+
+            beforeEach(() => {
+                sinon.stub(Math, 'random')
+                    .returns(0);
+
+                scheduler = new TestScheduler((actual, expected) => {
+                    expect(actual).to.deep.equal(expected);
+                });
+
+                cacheDriver.options.scheduler = scheduler;
+                source = sinon.stub();
+                source.onCall(0)
+                    .returns(rx.throwError('ops...'));
+                source.onCall(1)
+                    .returns(rx.throwError('ops...'));
+                source.returns(rx.of('fresh'));
+            });
+
+            afterEach(() => {
+                Math.random.restore();
+            });
+
+            it('should retry with exponential backoff', () => {
+                scheduler.run(({
+                    expectObservable
+                }) => {
+                    expectObservable(cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source, {
+                        retry: {
+                            count: 2,
+                            delay: 10
+                        }
+                    })).toBe('30ms (a|)', {
+                        a: 'fresh'
+                    });
+                });
+
+                expect(source).to.have.been.calledThrice;
+            });
+
+            it('should cap delay with maxDelay', () => {
+                scheduler.run(({
+                    expectObservable
+                }) => {
+                    expectObservable(cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source, {
+                        retry: {
+                            count: 2,
+                            delay: 10,
+                            maxDelay: 15
+                        }
+                    })).toBe('25ms (a|)', {
+                        a: 'fresh'
+                    });
+                });
+            });
+
+            it('should apply jitter', () => {
+                Math.random.returns(1);
+
+                scheduler.run(({
+                    expectObservable
+                }) => {
+                    expectObservable(cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source, {
+                        retry: {
+                            count: 2,
+                            delay: 10,
+                            jitter: 0.5
+                        }
+                    })).toBe('15ms (a|)', {
+                        a: 'fresh'
+                    });
+                });
+            });
+
+            it('should fail after count', () => {
+                scheduler.run(({
+                    expectObservable
+                }) => {
+                    expectObservable(cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source, {
+                        retry: 1
+                    })).toBe('100ms #', null, 'ops...');
+                });
+
+                expect(source).to.have.been.calledTwice;
+            });
+        });
+
+        describe('circuitBreaker', () => {
+            let events;
+
+            beforeEach(() => {
+                events = [];
+                source = sinon.stub()
+                    .returns(rx.throwError('ops...'));
+
+                cacheDriver.options.circuitBreaker = {
+                    threshold: 2,
+                    resetTimeout: 1000
+                };
+
+                cacheDriver.events
+                    .pipe(
+                        rxop.filter(event => ['circuit', 'short-circuit'].includes(event.type))
+                    )
+                    .subscribe(event => events.push(event));
+            });
+
+            const fail = id => cacheDriver.get({
+                    namespace,
+                    id
+                }, source, {
+                    ttr: 0
+                })
+                .pipe(
+                    rxop.catchError(err => rx.of(err))
+                )
+                .toPromise();
+
+            it('should be closed by default', () => {
+                expect(cacheDriver.circuitState({
+                    namespace
+                })).to.equal('closed');
+            });
+
+            it('should open after threshold and fail fast without source', async () => {
+                await fail('inexistentId');
+                await fail('inexistentId');
+
+                expect(cacheDriver.circuitState({
+                    namespace
+                })).to.equal('open');
+
+                const err = await fail('inexistentId');
+
+                expect(err.message).to.equal(`Circuit is open for namespace "${namespace}".`);
+                expect(source).to.have.been.calledTwice;
+                expect(events).to.deep.equal([{
+                    type: 'circuit',
+                    namespace,
+                    state: 'open'
+                }]);
+            });
+
+            it('should be per namespace', async () => {
+                await fail('inexistentId');
+                await fail('inexistentId');
+
+                expect(cacheDriver.circuitState({
+                    namespace: 'other'
+                })).to.equal('closed');
+            });
+
+            it('should serve stale when open', async () => {
+                await fail('inexistentId');
+                await fail('inexistentId');
+
+                expect(await fail('existentId')).to.equal('cached');
+                expect(source).to.have.been.calledTwice;
+                expect(events[1]).to.deep.equal({
+                    type: 'short-circuit',
+                    namespace,
+                    id: 'existentId'
+                });
+            });
+
+            it('should serve stale while trial is in flight', async () => {
+                await fail('inexistentId');
+                await fail('inexistentId');
+
+                Date.now.returns(createdAt + 1000);
+                source.returns(rx.NEVER);
+
+                const trial = cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source)
+                    .subscribe();
+
+                expect(cacheDriver.circuitState({
+                    namespace
+                })).to.equal('half-open');
+                expect(await fail('existentId')).to.equal('cached');
+                expect(source).to.have.been.calledThrice;
+                expect(events[events.length - 1]).to.deep.equal({
+                    type: 'short-circuit',
+                    namespace,
+                    id: 'existentId'
+                });
+
+                trial.unsubscribe();
+            });
+
+            it('should not stay half-open when trial is unsubscribed', async () => {
+                await fail('inexistentId');
+                await fail('inexistentId');
+
+                Date.now.returns(createdAt + 1000);
+                source.returns(rx.NEVER);
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source)
+                    .subscribe()
+                    .unsubscribe();
+
+                expect(cacheDriver.circuitState({
+                    namespace
+                })).to.equal('open');
+
+                Date.now.returns(createdAt + 100000);
+                source.returns(rx.of('fresh'));
+
+                expect(await fail('inexistentId')).to.equal('fresh');
+                expect(cacheDriver.circuitState({
+                    namespace
+                })).to.equal('closed');
+            });
+
+            it('should close after successful trial', async () => {
+                await fail('inexistentId');
+                await fail('inexistentId');
+
+                Date.now.returns(createdAt + 1000);
+                source.returns(rx.of('fresh'));
+
+                expect(await fail('existentId')).to.equal('fresh');
+                expect(cacheDriver.circuitState({
+                    namespace
+                })).to.equal('closed');
+                expect(events.map(event => event.state)).to.deep.equal(['open', 'half-open', 'closed']);
+            });
+
+            it('should reopen after failed trial', async () => {
+                await fail('inexistentId');
+                await fail('inexistentId');
+
+                Date.now.returns(createdAt + 1000);
+
+                expect(await fail('inexistentId')).to.equal('ops...');
+                expect(cacheDriver.circuitState({
+                    namespace
+                })).to.equal('open');
+            });
+        });
+
+        describe('staleIfError', () => {
+            beforeEach(() => {
+                source = sinon.stub()
+                    .returns(rx.throwError('ops...'));
+            });
+
+            it('should return stale value if source fails', done => {
+                const onStaleIfError = sinon.stub();
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source, {
+                        onStaleIfError,
+                        staleIfError: true,
+                        ttr: 0
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.equal('cached');
+                        expect(onStaleIfError).to.have.been.calledWith('ops...', {
+                            namespace,
+                            id: 'existentId'
+                        });
+                    }, null, done));
+            });
+
+            it('should return stale value within max stale', done => {
+                Date.now.returns(createdAt + 5);
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source, {
+                        staleIfError: 10,
+                        ttr: 0
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.equal('cached');
+                    }, null, done));
+            });
+
+            it('should throw if max stale is over', done => {
+                Date.now.returns(createdAt + 10);
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source, {
+                        staleIfError: 10,
+                        ttr: 0
+                    })
+                    .subscribe(null, testRx(err => {
+                        expect(err).to.equal('ops...');
+                    }, null, done));
+            });
+
+            it('should throw if no cached value', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source, {
+                        staleIfError: true
+                    })
+                    .subscribe(null, testRx(err => {
+                        expect(err).to.equal('ops...');
+                    }, null, done));
+            });
+
+            it('should throw if staleIfError is false', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source, {
+                        ttr: 0
+                    })
+                    .subscribe(null, testRx(err => {
+                        expect(err).to.equal('ops...');
+                    }, null, done));
+            });
+        });
+
+        describe('sourceMode', () => {
+            let store;
+
+            beforeEach(() => {
+                store = {};
+                source = sinon.stub()
+                    .returns(rx.of('a', 'b', 'c'));
+
+                cacheDriver.options.get = sinon.spy(({
+                    id
+                }) => rx.of(store[id]));
+                cacheDriver.options.set = sinon.spy(record => {
+                    store[record.id] = record;
+
+                    return rx.of(record);
+                });
+            });
+
+            it('should throw if invalid', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'id'
+                    }, source, {
+                        sourceMode: 'first'
+                    })
+                    .subscribe(null, testRx(err => {
+                        expect(err.message).to.equal('sourceMode must be each, last or array.');
+                    }, null, done));
+            });
+
+            it('should set each emission in order', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'id'
+                    }, source)
+                    .pipe(
+                        rxop.toArray()
+                    )
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal(['a', 'b', 'c']);
+                        expect(cacheDriver.options.set).to.have.been.calledThrice;
+                        expect(store.id.value).to.equal(JSON.stringify('c'));
+                    }, null, done));
+            });
+
+            it('should set only last emission', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'id'
+                    }, source, {
+                        sourceMode: 'last'
+                    })
+                    .pipe(
+                        rxop.toArray()
+                    )
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal(['a', 'b', 'c']);
+                        expect(cacheDriver.options.set).to.have.been.calledOnce;
+                        expect(store.id.value).to.equal(JSON.stringify('c'));
+                        expect(store.id).not.to.have.property('sequence');
+                    }, null, done));
+            });
+
+            it('should not set if source is empty', done => {
+                source = () => rx.EMPTY;
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'id'
+                    }, source, {
+                        sourceMode: 'last'
+                    })
+                    .subscribe(null, null, testRx(() => {
+                        expect(cacheDriver.options.set).not.to.have.been.called;
+                    }, null, done));
+            });
+
+            it('should not set if source fails', done => {
+                source = () => rx.concat(rx.of('a'), rx.throwError('ops...'));
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'id'
+                    }, source, {
+                        sourceMode: 'array'
+                    })
+                    .subscribe(null, testRx(err => {
+                        expect(err).to.equal('ops...');
+                        expect(cacheDriver.options.set).not.to.have.been.called;
+                    }, null, done));
+            });
+
+            it('should set and replay all emissions', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'id'
+                    }, source, {
+                        sourceMode: 'array'
+                    })
+                    .pipe(
+                        rxop.toArray(),
+                        rxop.tap(response => {
+                            expect(response).to.deep.equal(['a', 'b', 'c']);
+                            expect(cacheDriver.options.set).to.have.been.calledOnce;
+                            expect(store.id.sequence).to.be.true;
+                            expect(store.id.value).to.equal(JSON.stringify(['a', 'b', 'c']));
+                        }),
+                        rxop.mergeMap(() => cacheDriver.get({
+                            namespace,
+                            id: 'id'
+                        }, source, {
+                            sourceMode: 'array'
+                        })),
+                        rxop.toArray()
+                    )
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal(['a', 'b', 'c']);
+                        expect(source).to.have.been.calledOnce;
+                    }, null, done));
+            });
+
+            it('should apply setFilter to all emissions', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'id'
+                    }, source, {
+                        setFilter: response => response.length > 3,
+                        sourceMode: 'array'
+                    })
+                    .pipe(
+                        rxop.toArray()
+                    )
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal(['a', 'b', 'c']);
+                        expect(cacheDriver.options.set).not.to.have.been.called;
+                    }, null, done));
+            });
+        });
+
+        describe('falsy values', () => {
+            let store;
+
+            beforeEach(() => {
+                store = {};
+                cacheDriver.options.get = sinon.spy(({
+                    id
+                }) => rx.of(store[id]));
+                cacheDriver.options.set = sinon.spy(record => {
+                    store[record.id] = record;
+
+                    return rx.of(record);
+                });
+            });
+
+            [0, false, ''].forEach(value => {
+                it(`should cache ${JSON.stringify(value)}`, done => {
+                    source = sinon.stub()
+                        .returns(rx.of(value));
+
+                    cacheDriver.get({
+                            namespace,
+                            id: 'id'
+                        }, source)
+                        .pipe(
+                            rxop.mergeMap(() => cacheDriver.get({
+                                namespace,
+                                id: 'id'
+                            }, source))
+                        )
+                        .subscribe(testRx(response => {
+                            expect(response).to.equal(value);
+                            expect(source).to.have.been.calledOnce;
+                        }, null, done));
+                });
+
+                it(`should cache ${JSON.stringify(value)} without json`, done => {
+                    source = sinon.stub()
+                        .returns(rx.of(value));
+
+                    cacheDriver.get({
+                            namespace,
+                            id: 'id'
+                        }, source, {
+                            json: false
+                        })
+                        .pipe(
+                            rxop.mergeMap(() => cacheDriver.get({
+                                namespace,
+                                id: 'id'
+                            }, source, {
+                                json: false
+                            }))
+                        )
+                        .subscribe(testRx(response => {
+                            expect(response).to.equal(value);
+                            expect(source).to.have.been.calledOnce;
+                        }, null, done));
+                });
+            });
+
+            it('should not cache null', done => {
+                source = sinon.stub()
+                    .returns(rx.of(null));
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'id'
+                    }, source)
+                    .subscribe(testRx(response => {
+                        expect(response).to.be.null;
+                        expect(cacheDriver.options.set).not.to.have.been.called;
+                    }, null, done));
+            });
+
+            it('should treat stored null as miss without cacheNull', done => {
+                store.id = {
+                    namespace,
+                    id: 'id',
+                    value: 'null',
+                    createdAt
+                };
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'id'
+                    }, source)
+                    .subscribe(testRx(response => {
+                        expect(response).to.equal('fresh');
+                    }, null, done));
+            });
+
+            describe('cacheNull', () => {
+                beforeEach(() => {
+                    source = sinon.stub()
+                        .returns(rx.of(null));
+                });
+
+                it('should cache null', done => {
+                    cacheDriver.get({
+                            namespace,
+                            id: 'id'
+                        }, source, {
+                            cacheNull: true
+                        })
+                        .pipe(
+                            rxop.mergeMap(() => cacheDriver.get({
+                                namespace,
+                                id: 'id'
+                            }, source, {
+                                cacheNull: true
+                            }))
+                        )
+                        .subscribe(testRx(response => {
+                            expect(response).to.be.null;
+                            expect(source).to.have.been.calledOnce;
+                            expect(store.id.value).to.equal('null');
+                        }, null, done));
+                });
+
+                it('should refresh null with negativeTtr', done => {
+                    store.id = {
+                        namespace,
+                        id: 'id',
+                        value: 'null',
+                        createdAt: createdAt - 10
+                    };
+
+                    cacheDriver.get({
+                            namespace,
+                            id: 'id'
+                        }, source, {
+                            cacheNull: true,
+                            negativeTtr: 10
+                        })
+                        .subscribe(testRx(() => {
+                            expect(source).to.have.been.calledOnce;
+                        }, null, done));
+                });
+
+                it('should not refresh non null values with negativeTtr', done => {
+                    store.id = {
+                        namespace,
+                        id: 'id',
+                        value: JSON.stringify('cached'),
+                        createdAt: createdAt - 10
+                    };
+
+                    cacheDriver.get({
+                            namespace,
+                            id: 'id'
+                        }, source, {
+                            cacheNull: true,
+                            negativeTtr: 10
+                        })
+                        .subscribe(testRx(response => {
+                            expect(response).to.equal('cached');
+                            expect(source).not.to.have.been.called;
+                        }, null, done));
+                });
+
+                it('should cache null on getMany', done => {
+                    cacheDriver.getMany({
+                            namespace,
+                            ids: ['id']
+                        }, () => rx.of({
+                            id: null
+                        }), {
+                            cacheNull: true
+                        })
+                        .pipe(
+                            rxop.mergeMap(() => cacheDriver.getMany({
+                                namespace,
+                                ids: ['id']
+                            }, source, {
+                                cacheNull: true
+                            }))
+                        )
+                        .subscribe(testRx(response => {
+                            expect(response).to.deep.equal({
+                                id: null
+                            });
+                            expect(source).not.to.have.been.called;
+                        }, null, done));
+                });
+            });
+        });
+
+        describe('coalesce', () => {
+            let subject;
+
+            beforeEach(() => {
+                subject = new rx.Subject();
+                source = sinon.stub()
+                    .returns(subject);
+            });
+
+            it('should share source and set between concurrent misses', done => {
+                rx.forkJoin([
+                        cacheDriver.get({
+                            namespace,
+                            id: 'inexistentId'
+                        }, source),
+                        cacheDriver.get({
+                            namespace,
+                            id: 'inexistentId'
+                        }, source)
+                    ])
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal(['fresh', 'fresh']);
+                        expect(source).to.have.been.calledOnce;
+                        expect(cacheDriver.options.set).to.have.been.calledOnce;
+                        expect(cacheDriver.inFlight.size).to.equal(0);
+                    }, null, done));
+
+                expect(cacheDriver.inFlight.size).to.equal(1);
+
+                subject.next('fresh');
+                subject.complete();
+            });
+
+            it('should not share between different ids', () => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source)
+                    .subscribe();
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId2'
+                    }, source)
+                    .subscribe();
+
+                expect(source).to.have.been.calledTwice;
+                expect(cacheDriver.inFlight.size).to.equal(2);
+            });
+
+            it('should not share if coalesce is false', () => {
+                cacheDriver.options.coalesce = false;
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source)
+                    .subscribe();
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source)
+                    .subscribe();
+
+                expect(source).to.have.been.calledTwice;
+                expect(cacheDriver.inFlight.size).to.equal(0);
+            });
+
+            it('should cleanup on error', () => {
+                const error = sinon.stub();
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source)
+                    .subscribe(null, error);
+
+                cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source)
+                    .subscribe(null, error);
+
+                subject.error('ops...');
+
+                expect(error).to.have.been.calledTwice;
+                expect(error).to.have.been.calledWith('ops...');
+                expect(cacheDriver.inFlight.size).to.equal(0);
+            });
+
+            it('should cleanup when all subscribers unsubscribe', () => {
+                const subscription1 = cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source)
+                    .subscribe();
+
+                const subscription2 = cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source)
+                    .subscribe();
+
+                subscription1.unsubscribe();
+                expect(cacheDriver.inFlight.size).to.equal(1);
+                expect(subject.observed).to.be.true;
+
+                subscription2.unsubscribe();
+                expect(cacheDriver.inFlight.size).to.equal(0);
+                expect(subject.observed).to.be.false;
+            });
+        });
+
+        describe('_get error', () => {
+            beforeEach(() => {
+                cacheDriver.options.get = () => rx.throwError('ops...');
+            });
+
+            it('should throw', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'id'
+                    }, source)
+                    .subscribe(null, testRx(err => {
+                        expect(err).to.equal('ops...');
+                    }, null, done));
+            });
+        });
+
+        describe('non catched error', () => {
+            beforeEach(() => {
+                if (Date.now.restore) {
+                    Date.now.restore();
+                }
+
+                sinon.stub(Date, 'now')
+                    .throws(new Error('non catched error'));
+            });
+
+            it('should throw', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source)
+                    .subscribe(null, testRx(err => {
+                        expect(err.message).to.equal('non catched error');
+                    }, null, done));
+            });
+        });
+    });
+
+    describe('events', () => {
+        let events;
+        let subscription;
+
+        beforeEach(() => {
+            events = [];
+            subscription = cacheDriver.events.subscribe(event => events.push(event));
+        });
+
+        afterEach(() => {
+            subscription.unsubscribe();
+        });
+
+        it('should emit hit', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'existentId'
+                }, source)
+                .subscribe(null, null, testRx(() => {
+                    expect(events).to.deep.equal([{
+                        type: 'hit',
+                        namespace,
+                        id: 'existentId',
+                        latency: 0,
+                        size: Buffer.byteLength(JSON.stringify('cached'))
+                    }]);
+                }, null, done));
+        });
+
+        it('should emit miss and set', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'inexistentId'
+                }, source, {
+                    gzip: true
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(events).to.deep.equal([{
+                        type: 'miss',
+                        namespace,
+                        id: 'inexistentId',
+                        latency: 0
+                    }, {
+                        type: 'source',
+                        namespace,
+                        id: 'inexistentId',
+                        latency: 0
+                    }, {
+                        type: 'set',
+                        namespace,
+                        id: 'inexistentId',
+                        latency: 0,
+                        size: Buffer.byteLength(JSON.stringify('fresh')),
+                        storedSize: zlib.gzipSync(JSON.stringify('fresh')).length
+                    }]);
+                }, null, done));
+        });
+
+        it('should emit stale', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'existentId'
+                }, source, {
+                    ttr: 0
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(events.map(event => event.type)).to.deep.equal(['stale', 'source', 'set']);
+                    expect(events[0]).to.deep.equal({
+                        type: 'stale',
+                        namespace,
+                        id: 'existentId',
+                        age: 0,
+                        latency: 0,
+                        size: Buffer.byteLength(JSON.stringify('cached'))
+                    });
+                }, null, done));
+        });
+
+        it('should emit refresh', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'existentId'
+                }, source, {
+                    refresh: true
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(events.map(event => event.type)).to.deep.equal(['refresh', 'source', 'set']);
+                }, null, done));
+        });
+
+        it('should emit set-skipped', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'inexistentId'
+                }, source, {
+                    setFilter: () => false
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(events).to.deep.equal([{
+                        type: 'miss',
+                        namespace,
+                        id: 'inexistentId',
+                        latency: 0
+                    }, {
+                        type: 'source',
+                        namespace,
+                        id: 'inexistentId',
+                        latency: 0
+                    }, {
+                        type: 'set-skipped',
+                        namespace,
+                        id: 'inexistentId'
+                    }]);
+                }, null, done));
+        });
+
+        it('should emit error', done => {
+            source = () => rx.throwError('ops...');
+
+            cacheDriver.get({
+                    namespace,
+                    id: 'inexistentId'
+                }, source)
+                .subscribe(null, testRx(() => {
+                    expect(events[1]).to.deep.equal({
+                        type: 'source-error',
+                        namespace,
+                        id: 'inexistentId',
+                        emitted: false,
+                        error: 'ops...'
+                    });
+                    expect(events[2]).to.deep.equal({
+                        type: 'error',
+                        namespace,
+                        id: 'inexistentId',
+                        error: 'ops...',
+                        stage: 'get'
+                    });
+                }, null, done));
+        });
+
+        it('should emit error on refresh', done => {
+            source = () => rx.throwError('ops...');
+
+            cacheDriver.get({
+                    namespace,
+                    id: 'inexistentId'
+                }, source, {
+                    refresh: true
+                })
+                .subscribe(null, testRx(() => {
+                    expect(events.map(event => event.type)).to.deep.equal(['refresh', 'source-error', 'error']);
+                }, null, done));
+        });
+
+        it('should emit revalidate error', done => {
+            source = () => rx.throwError('ops...');
+
+            cacheDriver.get({
+                    namespace,
+                    id: 'existentId'
+                }, source, {
+                    staleWhileRevalidate: true,
+                    ttr: 0
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(events.map(event => event.type)).to.deep.equal(['stale', 'source-error', 'error']);
+                    expect(events[2].stage).to.equal('revalidate');
+                }, null, done));
+        });
+
+        it('should emit stale-if-error error', done => {
+            source = () => rx.throwError('ops...');
+
+            cacheDriver.get({
+                    namespace,
+                    id: 'existentId'
+                }, source, {
+                    staleIfError: true,
+                    ttr: 0
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(events.map(event => event.type)).to.deep.equal(['stale', 'source-error', 'error']);
+                    expect(events[2].stage).to.equal('stale-if-error');
+                }, null, done));
+        });
+
+        it('should emit getMany events', done => {
+            cacheDriver.getMany({
+                    namespace,
+                    ids: ['existentId', 'inexistentId']
+                }, ids => rx.of({
+                    inexistentId: 'fresh'
+                }), {
+                    setFilter: () => false
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(events.map(event => event.type)).to.deep.equal(['hit', 'miss', 'source', 'set-skipped']);
+                }, null, done));
+        });
+
+        it('should emit del', done => {
+            cacheDriver.del({
+                    namespace,
+                    id: 'id'
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(events).to.deep.equal([{
+                        type: 'del',
+                        namespace,
+                        id: 'id',
+                        latency: 0
+                    }]);
+                }, null, done));
+        });
+
+        it('should emit del on delMany hook', done => {
+            cacheDriver.options.delMany = () => rx.of(null);
+            cacheDriver.delMany({
+                    namespace,
+                    ids: ['id1', 'id2']
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(events.map(event => event.id)).to.deep.equal(['id1', 'id2']);
+                }, null, done));
+        });
+
+        it('should emit clear', done => {
+            cacheDriver.clear({
+                    namespace
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(events).to.deep.equal([{
+                        type: 'clear',
+                        namespace,
+                        latency: 0
+                    }]);
+                }, null, done));
+        });
+    });
+
+    describe('version', () => {
+        let events;
+
+        beforeEach(() => {
+            events = [];
+
+            cacheDriver.options.get = sinon.spy(({
+                namespace,
+                id
+            }) => rx.of({
+                namespace,
+                id,
+                value: JSON.stringify(id === 'v2' ? 'cached-v2' : 'cached'),
+                createdAt,
+                ...(id === 'v2' ? {
+                    version: 2
+                } : {
+                    version: 1
+                })
+            }));
+
+            cacheDriver.events.subscribe(event => events.push(event));
+        });
+
+        it('should record version', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'id'
+                }, source, {
+                    refresh: true,
+                    version: 2
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(cacheDriver.options.set).to.have.been.calledWith({
+                        createdAt,
+                        id: 'id',
+                        namespace,
+                        ttl: Math.floor((createdAt + cacheDriver.options.ttl) / 1000),
+                        value: JSON.stringify('fresh'),
+                        version: 2
+                    });
+                }, null, done));
+        });
+
+        it('should record version per namespace', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'id'
+                }, source, {
+                    refresh: true,
+                    version: {
+                        [namespace]: 'b',
+                        other: 'c'
+                    }
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(cacheDriver.options.set.firstCall.args[0].version).to.equal('b');
+                }, null, done));
+        });
+
+        it('should not record version by default', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'id'
+                }, source, {
+                    refresh: true
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(cacheDriver.options.set.firstCall.args[0]).not.to.have.property('version');
+                }, null, done));
+        });
+
+        it('should hit same version', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'v2'
+                }, source, {
+                    version: 2
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.equal('cached-v2');
+                    expect(source).not.to.have.been.called;
+                }, null, done));
+        });
+
+        it('should miss other versions', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'v1'
+                }, source, {
+                    version: 2
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.equal('fresh');
+                    expect(source).to.have.been.calledOnce;
+                    expect(events.map(event => event.type)).to.include.members(['version-mismatch', 'miss']);
+                }, null, done));
+        });
+
+        it('should miss records without version', done => {
+            cacheDriver.options.get = () => rx.of({
+                value: JSON.stringify('cached'),
+                createdAt
+            });
+
+            cacheDriver.get({
+                    namespace,
+                    id: 'id'
+                }, source, {
+                    version: 1
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.equal('fresh');
+                }, null, done));
+        });
+
+        it('should migrate other versions', done => {
+            const migrate = sinon.spy((value, version) => `${value}-migrated-from-${version}`);
+
+            cacheDriver.get({
+                    namespace,
+                    id: 'v1'
+                }, source, {
+                    migrate,
+                    version: 2
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.equal('cached-migrated-from-1');
+                    expect(source).not.to.have.been.called;
+                    expect(events.find(event => event.type === 'migrate')).to.deep.equal({
+                        type: 'migrate',
+                        namespace,
+                        id: 'v1',
+                        from: 1,
+                        to: 2
+                    });
+                }, null, done));
+        });
+
+        it('should miss if migrate returns undefined', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'v1'
+                }, source, {
+                    migrate: () => undefined,
+                    version: 2
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.equal('fresh');
+                }, null, done));
+        });
+
+        it('should miss and report if migrate fails', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'v1'
+                }, source, {
+                    migrate: () => {
+                        throw new Error('ops...');
+                    },
+                    version: 2
+                })
+                .subscribe(testRx(response => {
+                    const error = events.find(event => event.type === 'error');
+
+                    expect(response).to.equal('fresh');
+                    expect(error.stage).to.equal('migrate');
+                    expect(error.error.message).to.equal('ops...');
+                }, null, done));
+        });
+
+        it('should return empty on _get', done => {
+            cacheDriver._get({
+                    namespace,
+                    id: 'v1'
+                }, {
+                    version: 2
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({});
+                }, null, done));
+        });
+
+        it('should miss other versions on getMany', done => {
+            source = sinon.stub()
+                .returns(rx.of({
+                    v1: 'fresh'
+                }));
+
+            cacheDriver.getMany({
+                    namespace,
+                    ids: ['v1', 'v2']
+                }, source, {
+                    version: 2
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        v1: 'fresh',
+                        v2: 'cached-v2'
+                    });
+                    expect(source).to.have.been.calledWith(['v1']);
+                }, null, done));
+        });
+    });
+
+    describe('namespace', () => {
+        it('should throw if no name', () => {
+            expect(() => cacheDriver.namespace()).to.throw('No namespace provided.');
+        });
+
+        it('should throw if name contains *', () => {
+            expect(() => cacheDriver.namespace('reports:*')).to.throw('Namespace can\'t contain *, use registerPolicy for patterns.');
+        });
+
+        it('should register policy without handle', () => {
+            expect(cacheDriver.registerPolicy('users', {
+                ttr: 1
+            })).to.be.undefined;
+
+            expect(cacheDriver.namespace('users')
+                .policy().ttr).to.equal(1);
+        });
+
+        it('should return scoped handle', done => {
+            const users = cacheDriver.namespace(namespace);
+
+            expect(users.name).to.equal(namespace);
+
+            users.get({
+                    id: 'existentId'
+                }, source)
+                .subscribe(testRx(response => {
+                    expect(response).to.equal('cached');
+                    expect(cacheDriver.options.get).to.have.been.calledWith({
+                        namespace,
+                        id: 'existentId'
+                    });
+                }, null, done));
+        });
+
+        it('should apply namespace policy', done => {
+            const users = cacheDriver.namespace('users', {
+                setFilter: response => response === 'fresh',
+                ttl: 1000
+            });
+
+            users.get({
+                    id: 'inexistentId'
+                }, source)
+                .subscribe(null, null, testRx(() => {
+                    expect(cacheDriver.options.set).to.have.been.calledWith({
+                        createdAt,
+                        id: 'inexistentId',
+                        namespace: 'users',
+                        ttl: Math.floor((createdAt + 1000) / 1000),
+                        value: JSON.stringify('fresh')
+                    });
+                }, null, done));
+        });
+
+        it('should apply policy without handle', done => {
+            cacheDriver.namespace('users', {
+                ttr: 0
+            });
+
+            cacheDriver.get({
+                    namespace: 'users',
+                    id: 'existentId'
+                }, source)
+                .subscribe(testRx(response => {
+                    expect(response).to.equal('fresh');
+                }, null, done));
+        });
+
+        it('should not apply policy to other namespaces', () => {
+            cacheDriver.namespace('users', {
+                ttr: 1
+            });
+
+            expect(cacheDriver._options('users2').ttr).to.equal(cacheDriver.options.ttr);
+        });
+
+        it('should apply pattern defaults', () => {
+            cacheDriver.registerPolicy('reports:*', {
+                ttl: 1,
+                ttr: 1
+            });
+
+            cacheDriver.namespace('reports:daily', {
+                ttr: 2
+            });
+
+            expect(cacheDriver._options('reports:monthly')).to.include({
+                ttl: 1,
+                ttr: 1
+            });
+
+            expect(cacheDriver._options('reports:daily')).to.include({
+                ttl: 1,
+                ttr: 2
+            });
+
+            expect(cacheDriver._options('reports').ttr).to.equal(cacheDriver.options.ttr);
+        });
+
+        it('should match patterns literally besides *', () => {
+            cacheDriver.registerPolicy('a.b*', {
+                ttr: 1
+            });
+
+            expect(cacheDriver._options('a.bc').ttr).to.equal(1);
+            expect(cacheDriver._options('axbc').ttr).to.equal(cacheDriver.options.ttr);
+        });
+
+        it('should merge registrations', () => {
+            cacheDriver.namespace('users', {
+                ttr: 1
+            });
+
+            const users = cacheDriver.namespace('users', {
+                ttl: 1
+            });
+
+            expect(users.policy()).to.include({
+                ttl: 1,
+                ttr: 1
+            });
+        });
+
+        it('should prefer call options', done => {
+            const users = cacheDriver.namespace('users', {
+                ttl: 1000
+            });
+
+            users.get({
+                    id: 'inexistentId'
+                }, source, {
+                    ttl: 2000
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(cacheDriver.options.set.firstCall.args[0].ttl).to.equal(Math.floor((createdAt + 2000) / 1000));
+                }, null, done));
+        });
+
+        it('should decode with namespace policy', done => {
+            cacheDriver.namespace(namespace, {
+                json: false
+            });
+
+            cacheDriver.get({
+                    namespace,
+                    id: 'existentId'
+                }, source)
+                .subscribe(testRx(response => {
+                    expect(response).to.equal(JSON.stringify('cached'));
+                }, null, done));
+        });
+
+        it('should scope del, delMany, clear, markToRefresh and stats', done => {
+            const users = cacheDriver.namespace('users');
+
+            rx.concat(
+                    users.del({
+                        id: 'id'
+                    }),
+                    users.delMany({
+                        ids: ['id2']
+                    }),
+                    users.clear(),
+                    users.markToRefresh({
+                        id: 'existentId'
+                    })
+                )
+                .subscribe(null, null, testRx(() => {
+                    expect(cacheDriver.options.del).to.have.been.calledWith({
+                        namespace: 'users',
+                        id: 'id'
+                    });
+                    expect(cacheDriver.options.del).to.have.been.calledWith({
+                        namespace: 'users',
+                        id: 'id2'
+                    });
+                    expect(cacheDriver.options.clear).to.have.been.calledWith({
+                        namespace: 'users'
+                    });
+                    expect(cacheDriver.options.set).to.have.been.calledWithMatch({
+                        namespace: 'users',
+                        id: 'existentId',
+                        createdAt: 0
+                    });
+                    expect(users.stats()).to.deep.equal(cacheDriver.stats({
+                        namespace: 'users'
+                    }));
+                }, null, done));
+        });
+
+        describe('read and delete policies', () => {
+            let store;
+
+            beforeEach(() => {
+                store = {};
+
+                cacheDriver.options.get = sinon.spy(({
+                    namespace,
+                    id
+                }) => rx.of(store[`${namespace}:${id}`] || null));
+                cacheDriver.options.set = sinon.spy(record => {
+                    store[`${record.namespace}:${record.id}`] = record;
+
+                    return rx.of(record);
+                });
+                cacheDriver.options.del = sinon.spy(({
+                    namespace,
+                    id
+                }) => {
+                    delete store[`${namespace}:${id}`];
+
+                    return rx.of({
+                        namespace,
+                        id
+                    });
+                });
+            });
+
+            it('should del chunks with maxChunkSize policy', done => {
+                const users = cacheDriver.namespace('users', {
+                    maxChunkSize: 10
+                });
+
+                users.get({
+                        id: 'id'
+                    }, () => rx.of('a'.repeat(25)))
+                    .pipe(
+                        rxop.mergeMap(() => users.del({
+                            id: 'id'
+                        })),
+                        rxop.mergeMap(() => users.delMany({
+                            ids: ['id']
+                        }))
+                    )
+                    .subscribe(null, null, testRx(() => {
+                        expect(store).to.deep.equal({});
+                        expect(cacheDriver.options.del.args.filter(args => args[0].id.startsWith('id:chunk:'))).to.have.length(3);
+                    }, null, done));
+            });
+
+            it('should apply enforceTtl policy', done => {
+                store['users:id'] = {
+                    namespace: 'users',
+                    id: 'id',
+                    createdAt,
+                    ttl: Math.floor(createdAt / 1000) - 1,
+                    value: JSON.stringify('cached')
+                };
+
+                cacheDriver.namespace('users', {
+                        enforceTtl: false
+                    })
+                    .get({
+                        id: 'id'
+                    }, source)
+                    .subscribe(testRx(response => {
+                        expect(response).to.equal('cached');
+                    }, null, done));
+            });
+
+            it('should apply deleteExpired policy', done => {
+                store['users:id'] = {
+                    namespace: 'users',
+                    id: 'id',
+                    createdAt,
+                    ttl: Math.floor(createdAt / 1000) - 1,
+                    value: JSON.stringify('cached')
+                };
+
+                cacheDriver.namespace('users', {
+                        deleteExpired: true
+                    })
+                    .get({
+                        id: 'id'
+                    }, source, {
+                        setFilter: () => false
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.equal('fresh');
+                        expect(cacheDriver.options.del).to.have.been.calledOnceWith({
+                            namespace: 'users',
+                            id: 'id'
+                        });
+                    }, null, done));
+            });
+
+            it('should apply deleteCorrupt policy', done => {
+                store['users:id'] = {
+                    namespace: 'users',
+                    id: 'id',
+                    createdAt,
+                    value: '{invalid'
+                };
+
+                cacheDriver.namespace('users', {
+                        deleteCorrupt: false
+                    })
+                    .get({
+                        id: 'id'
+                    }, source, {
+                        setFilter: () => false
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.equal('fresh');
+                        expect(cacheDriver.options.del).not.to.have.been.called;
+                        expect(store['users:id'].value).to.equal('{invalid');
+                    }, null, done));
+            });
+        });
+
+        it('should scope getMany and setMany', done => {
+            const users = cacheDriver.namespace('users', {
+                ttl: 1000
+            });
+
+            users.setMany({
+                    values: {
+                        id: 'value'
+                    }
+                })
+                .pipe(
+                    rxop.mergeMap(() => users.getMany({
+                        ids: ['existentId']
+                    }, source))
+                )
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        existentId: 'cached'
+                    });
+                    expect(cacheDriver.options.set).to.have.been.calledWithMatch({
+                        namespace: 'users',
+                        id: 'id',
+                        ttl: Math.floor((createdAt + 1000) / 1000)
+                    });
+                }, null, done));
+        });
+    });
+
+    describe('clock', () => {
+        let store;
+
+        beforeEach(() => {
+            store = {};
+
+            cacheDriver = new CacheDriver({
+                ...cacheDriver.options,
+                get: ({
+                    id
+                }) => rx.of(store[id] || null),
+                set: sinon.spy(record => {
+                    store[record.id] = record;
+
+                    return rx.of(record);
+                })
+            });
+        });
+
+        it('should default to scheduler time', () => {
+            expect(cacheDriver._now()).to.equal(createdAt);
+        });
+
+        it('should use clock', done => {
+            cacheDriver.options.clock = () => 1000;
+
+            cacheDriver.get({
+                    namespace,
+                    id: 'id'
+                }, source, {
+                    ttl: 5000
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(store.id).to.include({
+                        createdAt: 1000,
+                        ttl: 6
+                    });
+                }, null, done));
+        });
+
+        it('should drive ttr and ttl with TestScheduler', () => {
+            const scheduler = new TestScheduler((actual, expected) => {
+                expect(actual).to.deep.equal(expected);
+            });
+
+            cacheDriver.options.scheduler = scheduler;
+            cacheDriver.options.ttr = 100;
+            cacheDriver.options.ttl = 3000;
+
+            const expired = [];
+
+            let count = 0;
+
+            source = () => rx.of(`fresh-${count++}`);
+            cacheDriver.events
+                .pipe(
+                    rxop.filter(event => event.type === 'expired')
+                )
+                .subscribe(() => expired.push(scheduler.now()));
+
+            scheduler.run(({
+                cold,
+                expectObservable
+            }) => {
+                // ttl is stored in seconds, fresh-1 expires at 3s
+                const reads = cold('a 98ms b 1ms c 3s d|')
+                    .pipe(
+                        rxop.concatMap(() => cacheDriver.get({
+                            namespace,
+                            id: 'id'
+                        }, source))
+                    );
+
+                expectObservable(reads).toBe('a 98ms b 1ms c 3s d|', {
+                    a: 'fresh-0',
+                    b: 'fresh-0',
+                    c: 'fresh-1',
+                    d: 'fresh-2'
+                });
+            });
+
+            expect(expired).to.deep.equal([3102]);
+        });
+
+        it('should wait for lock with scheduler', () => {
+            const scheduler = new TestScheduler((actual, expected) => {
+                expect(actual).to.deep.equal(expected);
+            });
+
+            const lock = CacheDriver.locks.memory();
+
+            cacheDriver.options.lock = lock;
+            cacheDriver.options.scheduler = scheduler;
+
+            scheduler.run(({
+                expectObservable
+            }) => {
+                lock.acquire({
+                        key: `${namespace}:id`,
+                        token: 'other',
+                        ttl: 60 * 1000
+                    })
+                    .subscribe();
+
+                expectObservable(cacheDriver.get({
+                    namespace,
+                    id: 'id'
+                }, source, {
+                    lockPoll: 10,
+                    lockWait: 25
+                })).toBe('30ms (a|)', {
+                    a: 'fresh'
+                });
+            });
+        });
+    });
+
+    describe('schedule', () => {
+        let scheduler;
+        let handles;
+
+        const schedule = (id, options) => {
+            const handle = cacheDriver.schedule({
+                namespace,
+                id
+            }, source, {
+                scheduler,
+                ...options
+            });
+
+            handles.push(handle);
+
+            return handle;
+        };
+
+        beforeEach(() => {
+            handles = [];
+            scheduler = new TestScheduler((actual, expected) => {
+                expect(actual).to.deep.equal(expected);
+            });
+
+            scheduler.maxFrames = 350;
+        });
+
+        afterEach(() => {
+            handles.forEach(handle => handle.stop());
+        });
+
+        it('should throw if no namespace', () => {
+            expect(() => cacheDriver.schedule({}, source)).to.throw('No namespace provided.');
+        });
+
+        it('should throw if source isn\'t a function', () => {
+            expect(() => cacheDriver.schedule({
+                namespace,
+                id: 'id'
+            }, null)).to.throw('Source must be a function which returns an Observable.');
+        });
+
+        it('should refresh right away and every interval', () => {
+            schedule('id', {
+                every: 100,
+                idle: 1000,
+                ttl: 1000
+            });
+
+            scheduler.flush();
+
+            expect(source).to.have.callCount(4);
+            expect(cacheDriver.options.set).to.have.callCount(4);
+            expect(cacheDriver.options.set).to.have.been.calledWith({
+                createdAt,
+                id: 'id',
+                namespace,
+                ttl: Math.floor((createdAt + 1000) / 1000),
+                value: JSON.stringify('fresh')
+            });
+        });
+
+        it('should default interval to half of ttr', () => {
+            schedule('id', {
+                ttr: 200
+            });
+
+            expect(cacheDriver.scheduled()[0]).to.include({
+                every: 100,
+                idle: 300
+            });
+        });
+
+        it('should default interval to half of namespace ttr', () => {
+            handles.push(cacheDriver.namespace('hot', {
+                    ttr: 1000
+                })
+                .schedule({
+                    id: 'id'
+                }, source, {
+                    scheduler
+                }));
+
+            expect(cacheDriver.scheduled()[0]).to.include({
+                namespace: 'hot',
+                every: 500
+            });
+        });
+
+        it('should list scheduled keys', () => {
+            schedule('id', {
+                every: 100
+            });
+
+            schedule('id2', {
+                every: 200,
+                idle: 1000
+            });
+
+            expect(cacheDriver.scheduled()).to.deep.equal([{
+                namespace,
+                id: 'id',
+                every: 100,
+                idle: 300,
+                lastAccess: 0
+            }, {
+                namespace,
+                id: 'id2',
+                every: 200,
+                idle: 1000,
+                lastAccess: 0
+            }]);
+        });
+
+        it('should replace schedule for same key', () => {
+            schedule('id', {
+                every: 100
+            });
+
+            schedule('id', {
+                every: 200
+            });
+
+            scheduler.flush();
+
+            expect(cacheDriver.scheduled()).to.have.length(1);
+            expect(source).to.have.callCount(2);
+        });
+
+        it('should stop', () => {
+            const handle = schedule('id', {
+                every: 100
+            });
+
+            scheduler.schedule(() => handle.stop(), 150);
+            scheduler.flush();
+
+            expect(source).to.have.callCount(2);
+            expect(cacheDriver.scheduled()).to.deep.equal([]);
+        });
+
+        it('should stop idle keys', () => {
+            const events = [];
+
+            cacheDriver.events.subscribe(event => events.push(event.type));
+
+            schedule('id', {
+                every: 100,
+                idle: 250
+            });
+
+            scheduler.flush();
+
+            expect(source).to.have.callCount(3);
+            expect(cacheDriver.scheduled()).to.deep.equal([]);
+            expect(events).to.include('unscheduled');
+        });
+
+        it('should keep accessed keys', () => {
+            scheduler.maxFrames = 1000;
+
+            schedule('existentId', {
+                every: 100,
+                idle: 250,
+                ttr: 1000
+            });
+
+            scheduler.schedule(() => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source)
+                    .subscribe();
+            }, 200);
+
+            scheduler.flush();
+
+            expect(source).to.have.callCount(5);
+        });
+
+        it('should not count refresh as access', () => {
+            schedule('existentId', {
+                every: 100,
+                idle: 250
+            });
+
+            scheduler.schedule(() => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source, {
+                        refresh: true
+                    })
+                    .subscribe();
+            }, 200);
+
+            scheduler.flush();
+
+            expect(source).to.have.callCount(4);
+        });
+
+        it('should keep running after source errors', () => {
+            source = sinon.stub()
+                .returns(rx.throwError('ops...'));
+
+            schedule('id', {
+                every: 100,
+                idle: 1000
+            });
+
+            scheduler.flush();
+
+            expect(source).to.have.callCount(4);
+            expect(cacheDriver.scheduled()).to.have.length(1);
+        });
+    });
+
+    describe('stats', () => {
+        it('should aggregate events', done => {
+            rx.concat(
+                    cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source),
+                    cacheDriver.get({
+                        namespace,
+                        id: 'inexistentId'
+                    }, source),
+                    cacheDriver.get({
+                        namespace: 'other',
+                        id: 'existentId'
+                    }, source, {
+                        ttr: 0
+                    })
+                )
+                .subscribe(null, null, testRx(() => {
+                    expect(cacheDriver.stats()).to.include({
+                        expirations: 1,
+                        hitRatio: 1 / 3,
+                        hits: 1,
+                        misses: 1,
+                        sourceCalls: 2,
+                        sourceErrors: 0,
+                        writes: 2
+                    });
+
+                    expect(cacheDriver.stats({
+                        namespace
+                    })).to.include({
+                        hitRatio: 0.5,
+                        hits: 1,
+                        misses: 1,
+                        writes: 1
+                    });
+                }, null, done));
+        });
+
+        it('should count source emitting then failing as one call', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'inexistentId'
+                }, () => rx.concat(rx.of('fresh'), rx.throwError('ops...')))
+                .subscribe({
+                    error: testRx(() => {
+                        expect(cacheDriver.stats()).to.include({
+                            sourceCalls: 1,
+                            sourceErrors: 1
+                        });
+                    }, null, done)
+                });
+        });
+
+        it('should count source failing without emitting as one call', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'inexistentId'
+                }, () => rx.throwError('ops...'))
+                .subscribe({
+                    error: testRx(() => {
+                        expect(cacheDriver.stats()).to.include({
+                            sourceCalls: 1,
+                            sourceErrors: 1
+                        });
+                    }, null, done)
+                });
+        });
+
+        it('should reset', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'existentId'
+                }, source)
+                .subscribe(null, null, testRx(() => {
+                    cacheDriver.resetStats();
+
+                    expect(cacheDriver.stats().hits).to.equal(0);
+                }, null, done));
+        });
+    });
+
+    describe('getMany', () => {
+        beforeEach(() => {
+            source = sinon.stub()
+                .callsFake(ids => rx.of(ids.reduce((reduction, id) => {
+                    reduction[id] = `fresh-${id}`;
+
+                    return reduction;
+                }, {})));
+        });
+
+        it('should throw if no namespace', done => {
+            cacheDriver.getMany({}, source)
+                .subscribe(null, testRx(err => {
+                    expect(err.message).to.equal('No namespace provided.');
+                }, null, done));
+        });
+
+        it('should throw if ids isn\'t an array', done => {
+            cacheDriver.getMany({
+                    namespace,
+                    ids: 'id'
+                }, source)
+                .subscribe(null, testRx(err => {
+                    expect(err.message).to.equal('ids must be an array.');
+                }, null, done));
+        });
+
+        it('should throw if source isn\'t a function', done => {
+            cacheDriver.getMany({
+                    namespace,
+                    ids: []
+                }, null)
+                .subscribe(null, testRx(err => {
+                    expect(err.message).to.equal('Source must be a function which returns an Observable.');
+                }, null, done));
+        });
+
+        it('should get cached values without source', done => {
+            cacheDriver.getMany({
+                    namespace,
+                    ids: ['existentId']
+                }, source)
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        existentId: 'cached'
+                    });
+                    expect(source).not.to.have.been.called;
+                }, null, done));
+        });
+
+        it('should run source only with missing ids and set them', done => {
+            cacheDriver.getMany({
+                    namespace,
+                    ids: ['existentId', 'id1', 'id2', 'id2']
+                }, source)
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        existentId: 'cached',
+                        id1: 'fresh-id1',
+                        id2: 'fresh-id2'
+                    });
+                    expect(source).to.have.been.calledOnceWithExactly(['id1', 'id2']);
+                    expect(cacheDriver.options.get).to.have.been.calledThrice;
+                    expect(cacheDriver.options.set).to.have.been.calledTwice;
+                    expect(cacheDriver.options.set).to.have.been.calledWith({
+                        createdAt,
+                        id: 'id1',
+                        namespace,
+                        ttl: Math.floor((createdAt + cacheDriver.options.ttl) / 1000),
+                        value: JSON.stringify('fresh-id1')
+                    });
+                }, null, done));
+        });
+
+        it('should run source with expired ids', done => {
+            cacheDriver.getMany({
+                    namespace,
+                    ids: ['existentId']
+                }, source, {
+                    ttr: 0
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        existentId: 'fresh-existentId'
+                    });
+                }, null, done));
+        });
+
+        it('should run source with all ids if refresh', done => {
+            cacheDriver.getMany({
+                    namespace,
+                    ids: ['existentId', 'id1']
+                }, source, {
+                    refresh: true
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        existentId: 'fresh-existentId',
+                        id1: 'fresh-id1'
+                    });
+                    expect(cacheDriver.options.get).not.to.have.been.called;
+                }, null, done));
+        });
+
+        it('should not set filtered values', done => {
+            cacheDriver.getMany({
+                    namespace,
+                    ids: ['id1', 'id2']
+                }, source, {
+                    setFilter: (value, id) => id === 'id1'
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        id1: 'fresh-id1',
+                        id2: 'fresh-id2'
+                    });
+                    expect(cacheDriver.options.set).to.have.been.calledOnce;
+                }, null, done));
+        });
+
+        it('should ignore values not requested', done => {
+            source = () => rx.of({
+                id1: 'fresh-id1',
+                id3: 'fresh-id3'
+            });
+
+            cacheDriver.getMany({
+                    namespace,
+                    ids: ['id1', 'id2']
+                }, source)
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        id1: 'fresh-id1'
+                    });
+                    expect(cacheDriver.options.set).to.have.been.calledOnce;
+                }, null, done));
+        });
+
+        describe('with backend hooks', () => {
+            beforeEach(() => {
+                cacheDriver.options.getMany = sinon.spy(({
+                    namespace,
+                    ids
+                }) => rx.of(ids.filter(id => id === 'existentId')
+                    .map(id => ({
+                        namespace,
+                        id,
+                        value: JSON.stringify('cached'),
+                        createdAt
+                    }))));
+
+                cacheDriver.options.setMany = sinon.spy(records => rx.of(records));
+            });
+
+            it('should use getMany and setMany', done => {
+                cacheDriver.getMany({
+                        namespace,
+                        ids: ['existentId', 'id1']
+                    }, source)
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal({
+                            existentId: 'cached',
+                            id1: 'fresh-id1'
+                        });
+                        expect(cacheDriver.options.getMany).to.have.been.calledOnceWithExactly({
+                            namespace,
+                            ids: ['existentId', 'id1']
+                        });
+                        expect(cacheDriver.options.get).not.to.have.been.called;
+                        expect(cacheDriver.options.set).not.to.have.been.called;
+                        expect(cacheDriver.options.setMany).to.have.been.calledOnceWithExactly([{
+                            createdAt,
+                            id: 'id1',
+                            namespace,
+                            ttl: Math.floor((createdAt + cacheDriver.options.ttl) / 1000),
+                            value: JSON.stringify('fresh-id1')
+                        }]);
+                    }, null, done));
+            });
+        });
+    });
+
+    describe('setMany', () => {
+        it('should throw if no namespace', done => {
+            cacheDriver.setMany({})
+                .subscribe(null, testRx(err => {
+                    expect(err.message).to.equal('No namespace provided.');
+                }, null, done));
+        });
+
+        it('should not call set if no values', done => {
+            cacheDriver.setMany({
+                    namespace,
+                    values: {
+                        id: null
+                    }
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(cacheDriver.options.set).not.to.have.been.called;
+                }, null, done));
+        });
+
+        it('should call set per key', done => {
+            cacheDriver.setMany({
+                    namespace,
+                    values: {
+                        id1: 'value1',
+                        id2: 'value2'
+                    }
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.have.length(2);
+                    expect(cacheDriver.options.set).to.have.been.calledTwice;
+                    expect(cacheDriver.options.set).to.have.been.calledWith({
+                        createdAt,
+                        id: 'id2',
+                        namespace,
+                        ttl: Math.floor((createdAt + cacheDriver.options.ttl) / 1000),
+                        value: JSON.stringify('value2')
+                    });
+                }, null, done));
+        });
+
+        it('should call setMany hook and populate memory', done => {
+            cacheDriver = new CacheDriver({
+                ...cacheDriver.options,
+                memory: true,
+                setMany: sinon.spy(records => rx.of(records))
+            });
+
+            cacheDriver.setMany({
+                    namespace,
+                    values: {
+                        id1: 'value1'
+                    }
+                })
+                .subscribe(testRx(() => {
+                    expect(cacheDriver.options.set).not.to.have.been.called;
+                    expect(cacheDriver.options.setMany).to.have.been.calledOnce;
+                    expect(cacheDriver._recall(namespace, 'id1').record.value).to.equal('value1');
+                }, null, done));
+        });
+    });
+
+    describe('_get', () => {
+        it('should throw if no namespace', done => {
+            cacheDriver._get({})
+                .subscribe(null, testRx(err => {
+                    expect(err.message).to.equal('No namespace provided.');
+                }, null, done));
+        });
+
+        it('should returns', done => {
+            cacheDriver._get({
+                    namespace,
+                    id: 'existentId'
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        namespace,
+                        id: 'existentId',
+                        value: 'cached',
+                        createdAt: response.createdAt
+                    });
+                }, null, done));
+        });
+
+        it('should returns', done => {
+            cacheDriver._get({
+                    namespace,
+                    id: 'existentId'
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        namespace,
+                        id: 'existentId',
+                        value: 'cached',
+                        createdAt: response.createdAt
+                    });
+                }, null, done));
+        });
+
+        describe('no value', () => {
+            it('should returns empty', done => {
+                cacheDriver._get({
+                        namespace,
+                        id: 'inexistentId'
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal({});
+                    }, null, done));
+            });
+        });
+
+        describe('null value', () => {
+            it('should returns empty', done => {
+                cacheDriver._get({
+                        namespace,
+                        id: 'nullId'
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal({});
+                    }, null, done));
+            });
+        });
+
+        describe('expired ttl', () => {
+            beforeEach(() => {
+                cacheDriver.options.get = sinon.spy(({
+                    namespace,
+                    id
+                }) => rx.of({
+                    namespace,
+                    id,
+                    value: JSON.stringify('cached'),
+                    createdAt,
+                    ttl: Math.floor(createdAt / 1000)
+                }));
+            });
+
+            it('should returns empty', done => {
+                cacheDriver._get({
+                        namespace,
+                        id: 'existentId'
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal({});
+                        expect(cacheDriver.options.del).not.to.have.been.called;
+                    }, null, done));
+            });
+
+            it('should emit expired', done => {
+                const events = [];
+
+                cacheDriver.events.subscribe(event => events.push(event));
+                cacheDriver._get({
+                        namespace,
+                        id: 'existentId'
+                    })
+                    .subscribe(testRx(() => {
+                        expect(events).to.deep.equal([{
+                            type: 'expired',
+                            namespace,
+                            id: 'existentId'
+                        }]);
+                    }, null, done));
+            });
+
+            it('should delete if deleteExpired', done => {
+                cacheDriver.options.deleteExpired = true;
+                cacheDriver._get({
+                        namespace,
+                        id: 'existentId'
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal({});
+                        expect(cacheDriver.options.del).to.have.been.calledOnceWithExactly({
+                            namespace,
+                            id: 'existentId'
+                        });
+                    }, null, done));
+            });
+
+            it('should emit error if delete fails', done => {
+                const events = [];
+
+                cacheDriver.options.deleteExpired = true;
+                cacheDriver.options.del = () => rx.throwError('ops...');
+                cacheDriver.events.subscribe(event => events.push(event));
+                cacheDriver._get({
+                        namespace,
+                        id: 'existentId'
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal({});
+                        expect(events[1]).to.deep.equal({
+                            type: 'error',
+                            namespace,
+                            id: 'existentId',
+                            error: 'ops...',
+                            stage: 'expire'
+                        });
+                    }, null, done));
+            });
+
+            it('should return if enforceTtl is false', done => {
+                cacheDriver.options.enforceTtl = false;
+                cacheDriver._get({
+                        namespace,
+                        id: 'existentId'
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response.value).to.equal('cached');
+                    }, null, done));
+            });
+
+            it('should return if ttl not passed', done => {
+                Date.now.returns(createdAt - 1000);
+                cacheDriver._get({
+                        namespace,
+                        id: 'existentId'
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response.value).to.equal('cached');
+                    }, null, done));
+            });
+
+            it('should run source on get', done => {
+                cacheDriver.get({
+                        namespace,
+                        id: 'existentId'
+                    }, source)
+                    .subscribe(testRx(response => {
+                        expect(response).to.equal('fresh');
+                    }, null, done));
+            });
+
+            it('should ignore expired memory records', done => {
+                cacheDriver = new CacheDriver({
+                    ...cacheDriver.options,
+                    memory: true
+                });
+
+                cacheDriver.memory.set(`${namespace}:existentId`, {
+                    namespace,
+                    id: 'existentId',
+                    value: 'cached',
+                    ttl: Math.floor(createdAt / 1000)
+                });
+
+                cacheDriver._get({
+                        namespace,
+                        id: 'existentId'
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal({});
+                        expect(cacheDriver.options.get).to.have.been.calledOnce;
+                        expect(cacheDriver.memory.size).to.equal(0);
+                    }, null, done));
+            });
+        });
+
+        describe('on error', () => {
+            beforeEach(() => {
+                cacheDriver.options.get = () => rx.throwError('ops...');
+            });
+
+            it('should throw', done => {
+                cacheDriver._get({
+                        namespace,
+                        id: 'id'
+                    })
+                    .subscribe(null, testRx(err => {
+                        expect(err).to.equal('ops...');
+                    }, null, done));
+            });
+        });
+
+        describe('with gzip', () => {
+            beforeEach(() => {
+                cacheDriver.options.gzip = true;
+                cacheDriver.options.get = sinon.spy(({
+                    namespace,
+                    id
+                }) => {
+                    return rx.of({
+                        namespace,
+                        id,
+                        value: zlib.gzipSync(JSON.stringify('cached')),
+                        createdAt
+                    });
+                });
+            });
+
+            it('should unzip', done => {
+                cacheDriver._get({
+                        namespace,
+                        id: 'existentId'
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal({
+                            namespace,
+                            id: 'existentId',
+                            value: 'cached',
+                            createdAt: response.createdAt
+                        });
+                    }, null, done));
+            });
+        });
+
+        describe('no json', () => {
+            beforeEach(() => {
+                cacheDriver.options.json = false;
+            });
+
+            afterEach(() => {
+                cacheDriver.options.json = true;
+            });
+
+            it('should returns', done => {
+                cacheDriver._get({
+                        namespace,
+                        id: 'existentId'
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal({
+                            namespace,
+                            id: 'existentId',
+                            value: '"cached"',
+                            createdAt: response.createdAt
+                        });
+                    }, null, done));
+            });
+        });
+    });
+
+    describe('serializer', () => {
+        const store = {};
+
+        beforeEach(() => {
+            cacheDriver.options.set = sinon.spy(record => {
+                store[record.id] = record;
+
+                return rx.of(record);
+            });
+            cacheDriver.options.get = sinon.spy(({
+                id
+            }) => rx.of(store[id]));
+        });
+
+        it('should expose built in serializers', () => {
+            expect(CacheDriver.serializers).to.have.all.keys('json', 'raw', 'typed');
+        });
+
+        it('should record codec and read typed values', done => {
+            const date = new Date(createdAt);
+
+            cacheDriver._set({
+                    namespace,
+                    id: 'typed',
+                    value: {
+                        date
+                    }
+                }, {
+                    serializer: 'typed'
+                })
+                .pipe(
+                    rxop.mergeMap(() => cacheDriver._get({
+                        namespace,
+                        id: 'typed'
+                    }))
+                )
+                .subscribe(testRx(response => {
+                    expect(store.typed.codec).to.equal('typed');
+                    expect(response.value.date).to.be.instanceOf(Date);
+                    expect(response.value.date.getTime()).to.equal(createdAt);
+                }, null, done));
+        });
+
+        it('should read records written with other codec after switching', done => {
+            cacheDriver._set({
+                    namespace,
+                    id: 'typed',
+                    value: new Set([1])
+                }, {
+                    serializer: 'typed'
+                })
+                .pipe(
+                    rxop.mergeMap(() => {
+                        cacheDriver.options.serializer = 'json';
+
+                        return cacheDriver._get({
+                            namespace,
+                            id: 'typed'
+                        });
+                    })
+                )
+                .subscribe(testRx(response => {
+                    expect(response.value).to.be.instanceOf(Set);
+                }, null, done));
+        });
+
+        it('should use custom serializer', done => {
+            const serializer = {
+                name: 'reverse',
+                serialize: value => value.split('').reverse().join(''),
+                deserialize: value => value.split('').reverse().join('')
+            };
+
+            cacheDriver.options.serializer = serializer;
+            cacheDriver._set({
+                    namespace,
+                    id: 'custom',
+                    value: 'abc'
+                })
+                .pipe(
+                    rxop.mergeMap(() => cacheDriver._get({
+                        namespace,
+                        id: 'custom'
+                    }))
+                )
+                .subscribe(testRx(response => {
+                    expect(store.custom.value).to.equal('cba');
+                    expect(store.custom.codec).to.equal('reverse');
+                    expect(response.value).to.equal('abc');
+                }, null, done));
+        });
+
+        it('should read with registered serializers', done => {
+            cacheDriver.options.serializers = {
+                upper: {
+                    name: 'upper',
+                    deserialize: value => value.toUpperCase()
+                }
+            };
+
+            store.upper = {
+                namespace,
+                id: 'upper',
+                value: 'abc',
+                codec: 'upper'
+            };
+
+            cacheDriver._get({
+                    namespace,
+                    id: 'upper'
+                })
+                .subscribe(testRx(response => {
+                    expect(response.value).to.equal('ABC');
+                }, null, done));
+        });
+
+        it('should read with serializer passed as get option', done => {
+            const source = sinon.spy(() => rx.of('abc'));
+            const get = () => cacheDriver.get({
+                namespace,
+                id: 'option'
+            }, source, {
+                serializer: {
+                    name: 'reverse',
+                    serialize: value => value.split('').reverse().join(''),
+                    deserialize: value => value.split('').reverse().join('')
+                }
+            });
+
+            get()
+                .pipe(
+                    rxop.mergeMap(() => get())
+                )
+                .subscribe(testRx(response => {
+                    expect(store.option.codec).to.equal('reverse');
+                    expect(response).to.equal('abc');
+                    expect(source).to.have.been.calledOnce;
+                }, null, done));
+        });
+
+        it('should throw if unknown serializer on set', done => {
+            cacheDriver._set({
+                    namespace,
+                    id: 'id',
+                    value: 'value'
+                }, {
+                    serializer: 'unknown'
+                })
+                .subscribe(null, testRx(err => {
+                    expect(err.message).to.equal('Unknown serializer "unknown".');
+                }, null, done));
+        });
+
+        it('should throw if unknown serializer on get', done => {
+            store.unknown = {
+                namespace,
+                id: 'unknown',
+                value: 'value',
+                codec: 'unknown'
+            };
+
+            cacheDriver._get({
+                    namespace,
+                    id: 'unknown'
+                })
+                .subscribe(null, testRx(err => {
+                    expect(err.message).to.equal('Unknown serializer "unknown".');
+                }, null, done));
+        });
+    });
+
+    describe('_compress', () => {
+        it('should throw if value not string or buffer', done => {
+            cacheDriver._compress({
+                    value: {
+                        a: 1
+                    }
+                })
+                .subscribe(null, testRx(err => {
+                    expect(err.message).to.equal('value must be string or Buffer.');
+                }, null, done));
+        });
+
+        it('should not gzip if false', done => {
+            cacheDriver.options.gzip = false;
+            cacheDriver._compress({
+                    value: JSON.stringify({
+                        a: 1
+                    })
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        value: JSON.stringify({
+                            a: 1
+                        })
+                    });
+                }, null, done));
+        });
+
+        it('should not gzip if wrong option type', done => {
+            cacheDriver.options.gzip = 'a';
+            cacheDriver._compress({
+                    value: JSON.stringify({
+                        a: 1
+                    })
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        value: JSON.stringify({
+                            a: 1
+                        })
+                    });
+                }, null, done));
+        });
+
+        it('should not gzip if lass than threshold', done => {
+            cacheDriver.options.gzip = 10;
+            cacheDriver._compress({
+                    value: JSON.stringify({
+                        a: 1
+                    })
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        value: JSON.stringify({
+                            a: 1
+                        })
+                    });
+                }, null, done));
+        });
+
+        it('should gzip', done => {
+            cacheDriver.options.gzip = 6 / 1000;
+            cacheDriver._compress({
+                    value: JSON.stringify({
+                        a: 1
+                    })
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        compression: 'gzip',
+                        value: zlib.gzipSync(JSON.stringify({
+                            a: 1
+                        }))
+                    });
+                }, null, done));
+        });
+    });
+
+    describe('compression', () => {
+        const value = JSON.stringify({
+            a: 1
+        });
+
+        [
+            ['gzip', zlib.gzipSync],
+            ['deflate', zlib.deflateSync],
+            ['brotli', zlib.brotliCompressSync]
+        ].forEach(([algorithm, compress]) => {
+            it(`should compress and decompress with ${algorithm}`, done => {
+                cacheDriver._compress({
+                        value
+                    }, {
+                        compression: algorithm
+                    })
+                    .pipe(
+                        rxop.tap(response => {
+                            expect(response).to.deep.equal({
+                                compression: algorithm,
+                                value: compress(value)
+                            });
+                        }),
+                        rxop.mergeMap(response => cacheDriver._decompress(response))
+                    )
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal({
+                            value
                         });
                     }, null, done));
             });
         });
-    });
 
-    describe('_gzip', () => {
-        it('should throw if value not string or buffer', done => {
-            cacheDriver._gzip({
-                    value: {
-                        a: 1
+        it('should compress with level', done => {
+            cacheDriver._compress({
+                    value
+                }, {
+                    compression: {
+                        algorithm: 'deflate',
+                        level: 1
+                    }
+                })
+                .subscribe(testRx(response => {
+                    expect(response.value).to.deep.equal(zlib.deflateSync(value, {
+                        level: 1
+                    }));
+                }, null, done));
+        });
+
+        it('should compress brotli with level', done => {
+            cacheDriver._compress({
+                    value
+                }, {
+                    compression: {
+                        algorithm: 'brotli',
+                        level: 1
+                    }
+                })
+                .subscribe(testRx(response => {
+                    expect(response.value).to.deep.equal(zlib.brotliCompressSync(value, {
+                        params: {
+                            [zlib.constants.BROTLI_PARAM_QUALITY]: 1
+                        }
+                    }));
+                }, null, done));
+        });
+
+        it('should not compress if less than threshold', done => {
+            cacheDriver._compress({
+                    value
+                }, {
+                    compression: {
+                        algorithm: 'brotli',
+                        threshold: 10
+                    }
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        value
+                    });
+                }, null, done));
+        });
+
+        it('should throw if unknown compression', done => {
+            cacheDriver._compress({
+                    value
+                }, {
+                    compression: 'lz4'
+                })
+                .subscribe(null, testRx(err => {
+                    expect(err.message).to.equal('Unknown compression "lz4".');
+                }, null, done));
+        });
+
+        it('should decompress regardless current setting', done => {
+            cacheDriver.options.compression = 'gzip';
+            cacheDriver.options.get = () => rx.of({
+                namespace,
+                id: 'brotli',
+                compression: 'brotli',
+                value: zlib.brotliCompressSync(JSON.stringify('cached'))
+            });
+
+            cacheDriver._get({
+                    namespace,
+                    id: 'brotli'
+                })
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        namespace,
+                        id: 'brotli',
+                        value: 'cached'
+                    });
+                }, null, done));
+        });
+
+        it('should set with compression', done => {
+            cacheDriver._set({
+                    namespace,
+                    id: 'id',
+                    value: 'fresh'
+                }, {
+                    compression: 'brotli'
+                })
+                .subscribe(testRx(() => {
+                    expect(cacheDriver.options.set).to.have.been.calledWith({
+                        compression: 'brotli',
+                        createdAt,
+                        id: 'id',
+                        namespace,
+                        ttl: Math.floor((createdAt + cacheDriver.options.ttl) / 1000),
+                        value: zlib.brotliCompressSync(JSON.stringify('fresh'))
+                    });
+                }, null, done));
+        });
+    });
+
+    describe('encryption', () => {
+        const keys = {
+            k1: Buffer.alloc(32, 1),
+            k2: Buffer.alloc(32, 2)
+                .toString('base64')
+        };
+
+        let adapter;
+        let events;
+
+        const create = options => {
+            const driver = new CacheDriver({
+                ...adapter,
+                encryption: {
+                    key: 'k1',
+                    keys
+                },
+                ...options
+            });
+
+            driver.events.subscribe(event => events.push(event));
+
+            return driver;
+        };
+
+        const stored = id => adapter.get({
+                namespace,
+                id
+            })
+            .toPromise();
+
+        const read = (driver, id = 'id') => driver.get({
+                namespace,
+                id
+            }, source)
+            .toPromise();
+
+        beforeEach(() => {
+            adapter = CacheDriver.adapters.memory();
+            events = [];
+            source = sinon.stub()
+                .returns(rx.of({
+                    secret: 'pii'
+                }));
+        });
+
+        it('should store encrypted value with key id', async () => {
+            const driver = create();
+
+            expect(await read(driver)).to.deep.equal({
+                secret: 'pii'
+            });
+
+            const record = await stored('id');
+
+            expect(record.kid).to.equal('k1');
+            expect(Buffer.isBuffer(record.value)).to.be.true;
+            expect(record.value.toString()).not.to.include('pii');
+            expect(await read(create())).to.deep.equal({
+                secret: 'pii'
+            });
+            expect(source).to.have.been.calledOnce;
+        });
+
+        it('should decrypt with encryption passed as get option', async () => {
+            const driver = create({
+                encryption: null
+            });
+
+            const get = () => driver.get({
+                    namespace,
+                    id: 'id'
+                }, source, {
+                    encryption: {
+                        key: 'k1',
+                        keys
+                    }
+                })
+                .toPromise();
+
+            await get();
+
+            expect((await stored('id')).kid).to.equal('k1');
+            expect(await get()).to.deep.equal({
+                secret: 'pii'
+            });
+            expect(source).to.have.been.calledOnce;
+            expect(events.filter(event => event.type === 'error')).to.be.empty;
+        });
+
+        it('should encrypt after compression', async () => {
+            await read(create({
+                compression: 'gzip'
+            }));
+
+            expect(await stored('id')).to.include({
+                compression: 'gzip',
+                kid: 'k1'
+            });
+
+            expect(await read(create())).to.deep.equal({
+                secret: 'pii'
+            });
+        });
+
+        it('should round trip raw Buffer values', async () => {
+            const driver = create({
+                json: false
+            });
+
+            source.returns(rx.of(Buffer.from([0, 1, 2])));
+
+            await read(driver);
+
+            expect(await read(driver)).to.deep.equal(Buffer.from([0, 1, 2]));
+            expect(source).to.have.been.calledOnce;
+        });
+
+        it('should read records written under older keys', async () => {
+            await read(create());
+
+            const driver = create({
+                encryption: {
+                    key: 'k2',
+                    keys
+                }
+            });
+
+            expect(await read(driver)).to.deep.equal({
+                secret: 'pii'
+            });
+
+            await read(create({
+                encryption: {
+                    key: 'k2',
+                    keys
+                }
+            }), 'id2');
+
+            expect((await stored('id2')).kid).to.equal('k2');
+        });
+
+        it('should treat unknown key as miss and report', async () => {
+            await read(create());
+
+            const driver = create({
+                encryption: {
+                    key: 'k2',
+                    keys: {
+                        k2: keys.k2
+                    }
+                }
+            });
+
+            expect(await read(driver)).to.deep.equal({
+                secret: 'pii'
+            });
+            expect(source).to.have.been.calledTwice;
+
+            const error = events.find(event => event.type === 'error');
+
+            expect(error).to.include({
+                namespace,
+                id: 'id',
+                stage: 'decrypt'
+            });
+            expect(error.error.message).to.equal('Unknown encryption key "k1".');
+        });
+
+        it('should treat tampered records as miss', async () => {
+            await read(create());
+
+            const record = await stored('id');
+
+            record.value[record.value.length - 1] ^= 1;
+            await adapter.set(record)
+                .toPromise();
+
+            expect(await read(create())).to.deep.equal({
+                secret: 'pii'
+            });
+            expect(source).to.have.been.calledTwice;
+            expect(events.find(event => event.type === 'error').stage).to.equal('decrypt');
+        });
+
+        it('should treat records moved to other id as miss', async () => {
+            await read(create());
+
+            await adapter.set({
+                    ...await stored('id'),
+                    id: 'id2'
+                })
+                .toPromise();
+
+            await read(create(), 'id2');
+
+            expect(source).to.have.been.calledTwice;
+        });
+
+        it('should fail to set with invalid key', done => {
+            create({
+                    encryption: {
+                        key: 'k3',
+                        keys: {
+                            k3: Buffer.alloc(16)
+                        }
                     }
                 })
+                ._set({
+                    namespace,
+                    id: 'id',
+                    value: 'value'
+                })
                 .subscribe(null, testRx(err => {
-                    expect(err.message).to.equal('value must be string or Buffer.');
+                    expect(err.message).to.equal('Encryption key "k3" must be 32 bytes.');
                 }, null, done));
         });
+    });
 
-        it('should not gzip if false', done => {
-            cacheDriver.options.gzip = false;
-            cacheDriver._gzip({
-                    value: JSON.stringify({
-                        a: 1
-                    })
+    describe('integrity', () => {
+        let adapter;
+        let events;
+
+        const create = options => {
+            const driver = new CacheDriver({
+                ...adapter,
+                checksum: true,
+                ...options
+            });
+
+            sinon.spy(driver.options, 'del');
+            driver.events.subscribe(event => events.push(event));
+
+            return driver;
+        };
+
+        const corrupt = (id, others) => adapter.set({
+                createdAt,
+                id,
+                namespace,
+                ...others
+            })
+            .toPromise();
+
+        const read = (driver, id = 'id') => driver.get({
+                namespace,
+                id
+            }, source)
+            .toPromise();
+
+        beforeEach(() => {
+            adapter = CacheDriver.adapters.memory();
+            events = [];
+        });
+
+        it('should store checksum of stored value', async () => {
+            const driver = create({
+                compression: 'gzip'
+            });
+
+            await read(driver);
+
+            const record = await adapter.get({
+                    namespace,
+                    id: 'id'
                 })
-                .subscribe(testRx(response => {
-                    expect(response).to.deep.equal({
-                        value: JSON.stringify({
-                            a: 1
-                        })
-                    });
-                }, null, done));
+                .toPromise();
+
+            expect(record.checksum).to.equal(crypto.createHash('sha256')
+                .update(record.value)
+                .digest('hex'));
+
+            expect(await read(driver)).to.equal('fresh');
+            expect(source).to.have.been.calledOnce;
         });
 
-        it('should not gzip if wrong option type', done => {
-            cacheDriver.options.gzip = 'a';
-            cacheDriver._gzip({
-                    value: JSON.stringify({
-                        a: 1
-                    })
+        it('should not store checksum by default', async () => {
+            await read(create({
+                checksum: false
+            }));
+
+            expect(await adapter.get({
+                    namespace,
+                    id: 'id'
                 })
-                .subscribe(testRx(response => {
-                    expect(response).to.deep.equal({
-                        value: JSON.stringify({
-                            a: 1
-                        })
-                    });
-                }, null, done));
+                .toPromise()).not.to.have.property('checksum');
         });
 
-        it('should not gzip if lass than threshold', done => {
-            cacheDriver.options.gzip = 10;
-            cacheDriver._gzip({
-                    value: JSON.stringify({
-                        a: 1
-                    })
+        it('should recover from checksum mismatch', async () => {
+            const driver = create();
+
+            await corrupt('id', {
+                checksum: 'invalid',
+                value: JSON.stringify('cached')
+            });
+
+            expect(await read(driver)).to.equal('fresh');
+            expect(driver.options.del).to.have.been.calledWith({
+                namespace,
+                id: 'id'
+            });
+
+            const event = events.find(event => event.type === 'corrupt');
+
+            expect(event).to.include({
+                namespace,
+                id: 'id'
+            });
+            expect(event.error.message).to.equal('Checksum mismatch.');
+        });
+
+        it('should recover from invalid json', async () => {
+            const driver = create();
+
+            await corrupt('id', {
+                value: '{invalid'
+            });
+
+            expect(await read(driver)).to.equal('fresh');
+            expect(driver.options.del).to.have.been.calledOnce;
+            expect(events.find(event => event.type === 'corrupt').error).to.be.instanceOf(SyntaxError);
+        });
+
+        it('should recover from truncated gzip', async () => {
+            const driver = create();
+
+            await corrupt('id', {
+                compression: 'gzip',
+                value: zlib.gzipSync(JSON.stringify('cached'))
+                    .slice(0, 10)
+            });
+
+            expect(await read(driver)).to.equal('fresh');
+            expect(events.map(event => event.type)).to.include('corrupt');
+        });
+
+        it('should not delete if deleteCorrupt is false', async () => {
+            const driver = create({
+                deleteCorrupt: false
+            });
+
+            await corrupt('id', {
+                value: '{invalid'
+            });
+
+            expect(await read(driver)).to.equal('fresh');
+            expect(driver.options.del).not.to.have.been.called;
+        });
+
+        it('should report del errors', async () => {
+            const driver = create({
+                del: () => rx.throwError('ops...')
+            });
+
+            await corrupt('id', {
+                value: '{invalid'
+            });
+
+            await read(driver);
+
+            expect(events.find(event => event.type === 'error')).to.include({
+                error: 'ops...',
+                stage: 'corrupt'
+            });
+        });
+
+        it('should treat corrupt entries as miss on getMany', async () => {
+            const driver = create();
+
+            source = () => rx.of({
+                id: 'fresh'
+            });
+
+            await corrupt('id', {
+                value: '{invalid'
+            });
+
+            expect(await driver.getMany({
+                    namespace,
+                    ids: ['id']
+                }, source)
+                .toPromise()).to.deep.equal({
+                id: 'fresh'
+            });
+        });
+    });
+
+    describe('chunking', () => {
+        const value = 'a'.repeat(25);
+
+        let adapter;
+        let driver;
+        let events;
+
+        const stored = id => adapter.get({
+                namespace,
+                id
+            })
+            .toPromise();
+
+        const read = (id = 'id') => driver.get({
+                namespace,
+                id
+            }, source)
+            .toPromise();
+
+        const chunkIds = manifest => Array.from({
+            length: manifest.chunks.count
+        }, (value, index) => `id:chunk:${manifest.chunks.stamp}:${index}`);
+
+        beforeEach(() => {
+            adapter = CacheDriver.adapters.memory();
+            events = [];
+            source = sinon.stub()
+                .returns(rx.of(value));
+
+            driver = new CacheDriver({
+                ...adapter,
+                json: false,
+                maxChunkSize: 10
+            });
+
+            sinon.spy(driver.options, 'set');
+            sinon.spy(driver.options, 'del');
+            driver.events.subscribe(event => events.push(event));
+        });
+
+        it('should split into chunks and manifest', async () => {
+            await read();
+
+            const manifest = await stored('id');
+
+            expect(manifest.value).to.be.null;
+            expect(manifest.chunks).to.include({
+                count: 3,
+                type: 'string'
+            });
+
+            const chunks = await Promise.all(chunkIds(manifest).map(stored));
+
+            expect(chunks.map(chunk => chunk.value.toString())).to.deep.equal([
+                'a'.repeat(10),
+                'a'.repeat(10),
+                'a'.repeat(5)
+            ]);
+            chunks.forEach(chunk => {
+                expect(chunk).to.include({
+                    createdAt: manifest.createdAt,
+                    namespace,
+                    stamp: manifest.chunks.stamp,
+                    ttl: manifest.ttl
+                });
+            });
+
+            expect(driver.options.set.lastCall.args[0].id).to.equal('id');
+        });
+
+        it('should reassemble', async () => {
+            await read();
+
+            expect(await read()).to.equal(value);
+            expect(source).to.have.been.calledOnce;
+        });
+
+        it('should not split small values', async () => {
+            source.returns(rx.of('small'));
+
+            await read();
+
+            expect(await stored('id')).to.include({
+                value: 'small'
+            });
+            expect(driver.options.set).to.have.been.calledOnce;
+        });
+
+        it('should split compressed, encrypted and signed values', async () => {
+            driver = new CacheDriver({
+                ...adapter,
+                checksum: true,
+                compression: 'gzip',
+                encryption: {
+                    key: 'k1',
+                    keys: {
+                        k1: Buffer.alloc(32)
+                    }
+                },
+                maxChunkSize: 10
+            });
+
+            source.returns(rx.of({
+                value
+            }));
+
+            await read();
+
+            expect((await stored('id')).chunks).to.include({
+                type: 'buffer'
+            });
+            expect(await read()).to.deep.equal({
+                value
+            });
+            expect(source).to.have.been.calledOnce;
+        });
+
+        it('should treat missing chunks as miss', async () => {
+            await read();
+            await adapter.del({
+                    namespace,
+                    id: chunkIds(await stored('id'))[1]
                 })
-                .subscribe(testRx(response => {
-                    expect(response).to.deep.equal({
-                        value: JSON.stringify({
-                            a: 1
-                        })
-                    });
-                }, null, done));
+                .toPromise();
+
+            expect(await read()).to.equal(value);
+            expect(source).to.have.been.calledTwice;
+            expect(events.map(event => event.type)).not.to.include('corrupt');
+            expect(driver.options.del).not.to.have.been.calledWith({
+                namespace,
+                id: 'id'
+            });
         });
 
-        it('should gzip', done => {
-            cacheDriver.options.gzip = 6 / 1000;
-            cacheDriver._gzip({
-                    value: JSON.stringify({
-                        a: 1
-                    })
+        it('should keep new value when replaced manifest is read', async () => {
+            await read();
+
+            const manifest = await stored('id');
+
+            await driver._set({
+                    namespace,
+                    id: 'id',
+                    value: 'b'.repeat(25)
                 })
-                .subscribe(testRx(response => {
-                    expect(response).to.deep.equal({
-                        value: zlib.gzipSync(JSON.stringify({
-                            a: 1
-                        }))
-                    });
-                }, null, done));
+                .toPromise();
+
+            expect((await driver._receive(namespace, 'id', manifest)
+                .toPromise()).record).to.deep.equal({});
+            expect(await read()).to.equal('b'.repeat(25));
+            expect(source).to.have.been.calledOnce;
+        });
+
+        it('should treat chunks from other write as miss', async () => {
+            await read();
+
+            const chunk = await stored(chunkIds(await stored('id'))[0]);
+
+            await adapter.set({
+                    ...chunk,
+                    stamp: 'other'
+                })
+                .toPromise();
+
+            await read();
+
+            expect(source).to.have.been.calledTwice;
+        });
+
+        it('should drop previous chunks on overwrite', async () => {
+            await read();
+
+            const previous = chunkIds(await stored('id'));
+
+            await driver._set({
+                    namespace,
+                    id: 'id',
+                    value: 'b'.repeat(15)
+                })
+                .toPromise();
+
+            expect((await stored('id')).chunks.count).to.equal(2);
+            expect(driver.options.del.args.map(args => args[0].id)).to.have.members(previous);
+            expect(await Promise.all(previous.map(stored))).to.deep.equal([null, null, null]);
+            expect(await read()).to.equal('b'.repeat(15));
+        });
+
+        it('should drop all chunks when overwritten by small value', async () => {
+            await read();
+
+            const previous = chunkIds(await stored('id'));
+
+            await driver._set({
+                    namespace,
+                    id: 'id',
+                    value: 'small'
+                })
+                .toPromise();
+
+            expect(driver.options.del.args.map(args => args[0].id)).to.have.members(previous);
+            expect(await stored('id')).to.include({
+                value: 'small'
+            });
+        });
+
+        it('should drop previous chunks on setMany', async () => {
+            driver.options.setMany = sinon.spy(records => rx.forkJoin(records.map(record => adapter.set(record))));
+
+            await read();
+
+            const previous = chunkIds(await stored('id'));
+
+            await driver.setMany({
+                    namespace,
+                    values: {
+                        id: 'small'
+                    }
+                })
+                .toPromise();
+
+            expect(await stored(previous[0])).to.be.null;
+            expect(await read()).to.equal('small');
+        });
+
+        it('should del all chunks', async () => {
+            await read();
+
+            const previous = chunkIds(await stored('id'));
+
+            await driver.del({
+                    namespace,
+                    id: 'id'
+                })
+                .toPromise();
+
+            expect(driver.options.del.args.map(args => args[0].id)).to.have.members(['id', ...previous]);
+            expect(await stored(previous[2])).to.be.null;
+        });
+
+        it('should del records without chunks', async () => {
+            source.returns(rx.of('small'));
+
+            await read();
+            await driver.del({
+                    namespace,
+                    id: 'id'
+                })
+                .toPromise();
+
+            expect(driver.options.del).to.have.been.calledOnceWith({
+                namespace,
+                id: 'id'
+            });
+        });
+
+        it('should delMany all chunks', async () => {
+            driver.options.delMany = sinon.stub();
+
+            await read();
+
+            const previous = chunkIds(await stored('id'));
+
+            await driver.delMany({
+                    namespace,
+                    ids: ['id']
+                })
+                .toPromise();
+
+            expect(driver.options.delMany).not.to.have.been.called;
+            expect(await stored(previous[0])).to.be.null;
+        });
+
+        it('should clear all chunks', async () => {
+            await read();
+
+            const previous = chunkIds(await stored('id'));
+
+            await driver.clear({
+                    namespace
+                })
+                .toPromise();
+
+            expect(await stored(previous[0])).to.be.null;
+        });
+
+        it('should split on setMany', async () => {
+            driver.options.setMany = sinon.spy(records => rx.forkJoin(records.map(record => adapter.set(record))));
+
+            await driver.setMany({
+                    namespace,
+                    values: {
+                        id: value,
+                        id2: 'small'
+                    }
+                })
+                .toPromise();
+
+            expect(driver.options.setMany).to.have.been.calledTwice;
+            expect(driver.options.setMany.firstCall.args[0].map(record => record.id)).to.deep.equal(chunkIds(await stored('id')));
+            expect(driver.options.setMany.secondCall.args[0].map(record => record.id)).to.deep.equal(['id', 'id2']);
+            expect(await read()).to.equal(value);
+            expect(source).not.to.have.been.called;
         });
     });
 
-    describe('_gunzip', () => {
+    describe('_decompress', () => {
         it('should not unzip object', done => {
-            cacheDriver._gunzip({
+            cacheDriver._decompress({
                     value: {
                         a: 1
                     }
@@ -529,7 +4417,7 @@ describe('index.js', () => {
                 a: 1
             }));
 
-            cacheDriver._gunzip({
+            cacheDriver._decompress({
                     value: buffer
                 })
                 .subscribe(testRx(response => {
@@ -544,7 +4432,7 @@ describe('index.js', () => {
                 a: 1
             }));
 
-            cacheDriver._gunzip({
+            cacheDriver._decompress({
                     value: zipped
                 })
                 .subscribe(testRx(response => {
@@ -645,6 +4533,7 @@ describe('index.js', () => {
                     })
                     .subscribe(testRx(response => {
                         expect(cacheDriver.options.set).to.have.been.calledWith({
+                            compression: 'gzip',
                             createdAt,
                             id: 'id',
                             namespace,
@@ -679,13 +4568,274 @@ describe('index.js', () => {
                             id: 'id',
                             namespace,
                             ttl: Math.floor((createdAt + cacheDriver.options.ttl) / 1000),
-                            value: obj
+                            value: obj,
+                            codec: 'raw'
                         });
                     }, null, done);
             });
         });
     });
 
+    describe('memory', () => {
+        beforeEach(() => {
+            cacheDriver = new CacheDriver({
+                ...cacheDriver.options,
+                memory: {
+                    maxEntries: 10
+                }
+            });
+        });
+
+        it('should not have memory by default', () => {
+            expect(new CacheDriver({
+                clear: () => null,
+                del: () => null,
+                get: () => null,
+                set: () => null
+            }).memory).to.be.null;
+        });
+
+        it('should get from memory after first get', done => {
+            cacheDriver._get({
+                    namespace,
+                    id: 'existentId'
+                })
+                .pipe(
+                    rxop.mergeMap(() => cacheDriver._get({
+                        namespace,
+                        id: 'existentId'
+                    }))
+                )
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        namespace,
+                        id: 'existentId',
+                        value: 'cached',
+                        createdAt
+                    });
+                    expect(cacheDriver.options.get).to.have.been.calledOnce;
+                    expect(cacheDriver.tierStats()).to.deep.equal({
+                        memory: {
+                            bytes: Buffer.byteLength(JSON.stringify('cached')),
+                            entries: 1,
+                            hits: 1,
+                            misses: 1
+                        },
+                        backend: {
+                            hits: 1,
+                            misses: 0
+                        }
+                    });
+                }, null, done));
+        });
+
+        it('should getMany from memory', done => {
+            cacheDriver.getMany({
+                    namespace,
+                    ids: ['existentId']
+                }, source)
+                .pipe(
+                    rxop.mergeMap(() => cacheDriver.getMany({
+                        namespace,
+                        ids: ['existentId', 'inexistentId']
+                    }, source))
+                )
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        existentId: 'cached'
+                    });
+                    expect(cacheDriver.options.get).to.have.been.calledTwice;
+                    expect(cacheDriver.options.get).to.have.been.calledWith({
+                        namespace,
+                        id: 'inexistentId'
+                    });
+                }, null, done));
+        });
+
+        it('should count backend misses', done => {
+            cacheDriver._get({
+                    namespace,
+                    id: 'inexistentId'
+                })
+                .subscribe(testRx(() => {
+                    expect(cacheDriver.tierStats()).to.deep.equal({
+                        memory: {
+                            bytes: 0,
+                            entries: 0,
+                            hits: 0,
+                            misses: 1
+                        },
+                        backend: {
+                            hits: 0,
+                            misses: 1
+                        }
+                    });
+                }, null, done));
+        });
+
+        it('should populate memory on set', done => {
+            cacheDriver.get({
+                    namespace,
+                    id: 'inexistentId'
+                }, () => rx.of({
+                    date: new Date(createdAt)
+                }))
+                .pipe(
+                    rxop.mergeMap(() => cacheDriver._get({
+                        namespace,
+                        id: 'inexistentId'
+                    }))
+                )
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal({
+                        namespace,
+                        id: 'inexistentId',
+                        value: {
+                            date: new Date(createdAt).toJSON()
+                        },
+                        createdAt,
+                        ttl: Math.floor((createdAt + cacheDriver.options.ttl) / 1000)
+                    });
+                    expect(cacheDriver.options.get).to.have.been.calledOnce;
+                }, null, done));
+        });
+
+        it('should charge the same bytes on set and backend read', done => {
+            const adapter = CacheDriver.adapters.memory();
+            const create = () => new CacheDriver({
+                ...adapter,
+                compression: 'gzip',
+                memory: {}
+            });
+
+            const writer = create();
+            const reader = create();
+            const get = driver => driver.get({
+                namespace,
+                id: 'id'
+            }, () => rx.of('a'.repeat(100000)));
+
+            get(writer)
+                .pipe(
+                    rxop.mergeMap(() => get(reader))
+                )
+                .subscribe(testRx(() => {
+                    expect(reader.tierStats().backend.hits).to.equal(1);
+                    expect(reader.tierStats().memory.bytes).to.equal(100002);
+                    expect(writer.tierStats().memory.bytes).to.equal(100002);
+                }, null, done));
+        });
+
+        it('should not leak mutations between memory hits', done => {
+            const source = sinon.spy(() => rx.of({
+                list: [1]
+            }));
+
+            const get = () => cacheDriver.get({
+                namespace,
+                id: 'inexistentId'
+            }, source);
+
+            get()
+                .pipe(
+                    rxop.mergeMap(value => {
+                        value.list.push(2);
+
+                        return get();
+                    }),
+                    rxop.mergeMap(value => {
+                        expect(value).to.deep.equal({
+                            list: [1]
+                        });
+
+                        value.list.push(3);
+
+                        return get();
+                    })
+                )
+                .subscribe(testRx(value => {
+                    expect(value).to.deep.equal({
+                        list: [1]
+                    });
+                    expect(source).to.have.been.calledOnce;
+                    expect(cacheDriver.options.get).to.have.been.calledOnce;
+                }, null, done));
+        });
+
+        it('should populate memory on set without json', done => {
+            const obj = {};
+
+            cacheDriver._set({
+                    namespace,
+                    id: 'id',
+                    value: obj
+                }, {
+                    json: false
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(cacheDriver.memory.get(`${namespace}:id`).value).to.equal(obj);
+                }, null, done));
+        });
+
+        it('should not populate memory if set fails', done => {
+            cacheDriver.options.set = () => rx.throwError('ops...');
+            cacheDriver._set({
+                    namespace,
+                    id: 'id',
+                    value: 'fresh'
+                })
+                .subscribe(null, testRx(() => {
+                    expect(cacheDriver.memory.size).to.equal(0);
+                }, null, done));
+        });
+
+        describe('coherence', () => {
+            beforeEach(done => {
+                cacheDriver._get({
+                        namespace,
+                        id: 'existentId'
+                    })
+                    .subscribe(null, null, done);
+            });
+
+            it('should delete on del', done => {
+                cacheDriver.del({
+                        namespace,
+                        id: 'existentId'
+                    })
+                    .subscribe(testRx(() => {
+                        expect(cacheDriver.memory.size).to.equal(0);
+                    }, null, done));
+            });
+
+            it('should delete on markToRefresh', done => {
+                cacheDriver.markToRefresh({
+                        namespace,
+                        id: 'existentId'
+                    })
+                    .subscribe(testRx(() => {
+                        expect(cacheDriver.memory.size).to.equal(0);
+                    }, null, done));
+            });
+
+            it('should clear only namespace', done => {
+                cacheDriver.memory.set('other:id', {
+                    namespace: 'other'
+                });
+
+                cacheDriver.clear({
+                        namespace
+                    })
+                    .subscribe(testRx(() => {
+                        expect(cacheDriver.memory.size).to.equal(1);
+                        expect(cacheDriver.memory.get('other:id')).to.deep.equal({
+                            namespace: 'other'
+                        });
+                    }, null, done));
+            });
+        });
+    });
+
     describe('del', () => {
         it('should throw if no namespace', done => {
             cacheDriver.del({})
@@ -708,6 +4858,44 @@ describe('index.js', () => {
         });
     });
 
+    describe('delMany', () => {
+        it('should throw if no namespace', done => {
+            cacheDriver.delMany({})
+                .subscribe(null, testRx(err => {
+                    expect(err.message).to.equal('No namespace provided.');
+                }, null, done));
+        });
+
+        it('should call del per key', done => {
+            cacheDriver.delMany({
+                    namespace,
+                    ids: ['id1', 'id2']
+                })
+                .subscribe(testRx(() => {
+                    expect(cacheDriver.options.del).to.have.been.calledTwice;
+                    expect(cacheDriver.options.del).to.have.been.calledWith({
+                        namespace,
+                        id: 'id2'
+                    });
+                }, null, done));
+        });
+
+        it('should call delMany hook', done => {
+            cacheDriver.options.delMany = sinon.spy(() => rx.of(null));
+            cacheDriver.delMany({
+                    namespace,
+                    ids: ['id1', 'id2']
+                })
+                .subscribe(testRx(() => {
+                    expect(cacheDriver.options.del).not.to.have.been.called;
+                    expect(cacheDriver.options.delMany).to.have.been.calledOnceWithExactly({
+                        namespace,
+                        ids: ['id1', 'id2']
+                    });
+                }, null, done));
+        });
+    });
+
     describe('markToRefresh', () => {
         it('should throw if no namespace', done => {
             cacheDriver.markToRefresh({})
@@ -732,6 +4920,260 @@ describe('index.js', () => {
         });
     });
 
+    describe('tags', () => {
+        let store;
+
+        beforeEach(() => {
+            store = {};
+
+            cacheDriver.options.get = sinon.spy(({
+                namespace,
+                id
+            }) => rx.of(store[`${namespace}:${id}`]));
+            cacheDriver.options.set = sinon.spy(record => {
+                store[`${record.namespace}:${record.id}`] = record;
+
+                return rx.of(record);
+            });
+            cacheDriver.options.del = sinon.spy(({
+                namespace,
+                id
+            }) => {
+                delete store[`${namespace}:${id}`];
+
+                return rx.of(null);
+            });
+        });
+
+        it('should record tags and index entries across namespaces', done => {
+            rx.concat(
+                    cacheDriver.get({
+                        namespace,
+                        id: 'id1'
+                    }, source, {
+                        tags: ['user:42', 'user:42']
+                    }),
+                    cacheDriver.get({
+                        namespace: 'other',
+                        id: 'id2'
+                    }, source, {
+                        tags: ['user:42', 'admin']
+                    })
+                )
+                .pipe(
+                    rxop.toArray()
+                )
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal(['fresh', 'fresh']);
+                    expect(store[`${namespace}:id1`].tags).to.deep.equal(['user:42']);
+                    expect(JSON.parse(store['__tags__:user:42'].value)).to.deep.equal([{
+                        namespace,
+                        id: 'id1'
+                    }, {
+                        namespace: 'other',
+                        id: 'id2'
+                    }]);
+                    expect(JSON.parse(store['__tags__:admin'].value)).to.deep.equal([{
+                        namespace: 'other',
+                        id: 'id2'
+                    }]);
+                }, null, done));
+        });
+
+        it('should not rewrite index if entry already indexed', done => {
+            rx.concat(
+                    cacheDriver._set({
+                        namespace,
+                        id: 'id1',
+                        value: 'value'
+                    }, {
+                        tags: ['user:42']
+                    }),
+                    cacheDriver._set({
+                        namespace,
+                        id: 'id1',
+                        value: 'value'
+                    }, {
+                        tags: ['user:42']
+                    })
+                )
+                .subscribe(null, null, testRx(() => {
+                    expect(cacheDriver.options.set).to.have.been.calledThrice;
+                }, null, done));
+        });
+
+        it('should index tags on setMany', done => {
+            cacheDriver.options.setMany = sinon.spy(records => {
+                records.forEach(record => {
+                    store[`${record.namespace}:${record.id}`] = record;
+                });
+
+                return rx.of(records);
+            });
+
+            cacheDriver.setMany({
+                    namespace,
+                    values: {
+                        id1: 'value1',
+                        id2: 'value2'
+                    }
+                }, {
+                    tags: ['user:42']
+                })
+                .subscribe(null, null, testRx(() => {
+                    expect(JSON.parse(store['__tags__:user:42'].value)).to.deep.equal([{
+                        namespace,
+                        id: 'id1'
+                    }, {
+                        namespace,
+                        id: 'id2'
+                    }]);
+                }, null, done));
+        });
+
+        it('should keep every entry on concurrent tagged sets', done => {
+            const get = cacheDriver.options.get;
+
+            cacheDriver.options.get = sinon.spy(args => get(args)
+                .pipe(
+                    rxop.delay(0)
+                ));
+
+            rx.merge(...['a', 'b', 'c', 'd'].map(id => cacheDriver.get({
+                    namespace,
+                    id
+                }, source, {
+                    tags: ['user:42']
+                })))
+                .pipe(
+                    rxop.toArray(),
+                    rxop.mergeMap(() => cacheDriver.invalidateTags(['user:42']))
+                )
+                .subscribe(testRx(response => {
+                    expect(response.map(entry => entry.id)).to.have.members(['a', 'b', 'c', 'd']);
+                    ['a', 'b', 'c', 'd'].forEach(id => {
+                        expect(store[`${namespace}:${id}`]).to.be.undefined;
+                    });
+                    expect(store['__tags__:user:42']).to.be.undefined;
+                    expect(cacheDriver.tagQueues.size).to.equal(0);
+                }, null, done));
+        });
+
+        it('should treat unreadable index as empty', done => {
+            const events = [];
+
+            cacheDriver.events.subscribe(event => events.push(event));
+            store['__tags__:user:42'] = {
+                namespace: '__tags__',
+                id: 'user:42',
+                value: '{'
+            };
+
+            cacheDriver._set({
+                    namespace,
+                    id: 'id1',
+                    value: 'value'
+                }, {
+                    tags: ['user:42']
+                })
+                .pipe(
+                    rxop.toArray(),
+                    rxop.mergeMap(() => cacheDriver.invalidateTags(['user:42']))
+                )
+                .subscribe(testRx(response => {
+                    expect(response).to.deep.equal([{
+                        namespace,
+                        id: 'id1'
+                    }]);
+                    expect(events.find(event => event.type === 'corrupt')).to.include({
+                        namespace: '__tags__',
+                        id: 'user:42'
+                    });
+                }, null, done));
+        });
+
+        describe('invalidateTags', () => {
+            beforeEach(done => {
+                rx.concat(
+                        cacheDriver._set({
+                            namespace,
+                            id: 'id1',
+                            value: 'value1'
+                        }, {
+                            tags: ['user:42']
+                        }),
+                        cacheDriver._set({
+                            namespace: 'other',
+                            id: 'id2',
+                            value: 'value2'
+                        }, {
+                            tags: ['user:42', 'admin']
+                        }),
+                        cacheDriver._set({
+                            namespace,
+                            id: 'id3',
+                            value: 'value3'
+                        }, {
+                            tags: ['admin']
+                        })
+                    )
+                    .subscribe(null, null, done);
+            });
+
+            it('should throw if no tags', done => {
+                cacheDriver.invalidateTags([])
+                    .subscribe(null, testRx(err => {
+                        expect(err.message).to.equal('No tags provided.');
+                    }, null, done));
+            });
+
+            it('should delete tagged entries and index', done => {
+                cacheDriver.invalidateTags(['user:42'])
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal([{
+                            namespace,
+                            id: 'id1'
+                        }, {
+                            namespace: 'other',
+                            id: 'id2'
+                        }]);
+                        expect(store).to.have.all.keys(`${namespace}:id3`, '__tags__:admin');
+                    }, null, done));
+            });
+
+            it('should mark tagged entries to refresh', done => {
+                cacheDriver.invalidateTags(['user:42', 'admin'], {
+                        refresh: true
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.have.length(3);
+                        expect(store[`${namespace}:id1`].createdAt).to.equal(0);
+                        expect(store['other:id2'].createdAt).to.equal(0);
+                        expect(store[`${namespace}:id3`].createdAt).to.equal(0);
+                        expect(store).to.have.property('__tags__:user:42');
+                    }, null, done));
+            });
+
+            it('should ignore entries already deleted', done => {
+                delete store[`${namespace}:id1`];
+
+                cacheDriver.invalidateTags(['user:42'], {
+                        refresh: true
+                    })
+                    .subscribe(testRx(response => {
+                        expect(response).to.have.length(2);
+                    }, null, done));
+            });
+
+            it('should return empty if unknown tag', done => {
+                cacheDriver.invalidateTags(['unknown'])
+                    .subscribe(testRx(response => {
+                        expect(response).to.deep.equal([]);
+                    }, null, done));
+            });
+        });
+    });
+
     describe('clear', () => {
         it('should throw if no namespace', done => {
             cacheDriver.clear({})
@@ -0,0 +1,166 @@
+const chai = require('chai');
+
+const CacheDriver = require('./');
+const locks = require('./locks');
+
+const expect = chai.expect;
+
+describe('locks', () => {
+    const run = observable => observable.toPromise();
+
+    it('should be exposed', () => {
+        expect(CacheDriver.locks).to.equal(locks);
+    });
+
+    describe('memory', () => {
+        let lock;
+
+        beforeEach(() => {
+            lock = locks.memory();
+        });
+
+        it('should acquire free lock', async () => {
+            expect(await run(lock.acquire({
+                key: 'key',
+                token: 'a',
+                ttl: 1000
+            }))).to.be.true;
+        });
+
+        it('should not acquire lock held by other token', async () => {
+            await run(lock.acquire({
+                key: 'key',
+                token: 'a',
+                ttl: 1000
+            }));
+
+            expect(await run(lock.acquire({
+                key: 'key',
+                token: 'b',
+                ttl: 1000
+            }))).to.be.false;
+
+            expect(await run(lock.acquire({
+                key: 'other',
+                token: 'b',
+                ttl: 1000
+            }))).to.be.true;
+        });
+
+        it('should acquire expired lock', async () => {
+            await run(lock.acquire({
+                key: 'key',
+                token: 'a',
+                ttl: 0
+            }));
+
+            expect(await run(lock.acquire({
+                key: 'key',
+                token: 'b',
+                ttl: 1000
+            }))).to.be.true;
+        });
+
+        it('should renew only own lock', async () => {
+            await run(lock.acquire({
+                key: 'key',
+                token: 'a',
+                ttl: 1000
+            }));
+
+            expect(await run(lock.renew({
+                key: 'key',
+                token: 'b',
+                ttl: 1000
+            }))).to.be.false;
+
+            expect(await run(lock.renew({
+                key: 'key',
+                token: 'a',
+                ttl: 1000
+            }))).to.be.true;
+        });
+
+        it('should not renew expired lock', async () => {
+            await run(lock.acquire({
+                key: 'key',
+                token: 'a',
+                ttl: 0
+            }));
+
+            expect(await run(lock.renew({
+                key: 'key',
+                token: 'a',
+                ttl: 1000
+            }))).to.be.false;
+        });
+
+        it('should release only own lock', async () => {
+            await run(lock.acquire({
+                key: 'key',
+                token: 'a',
+                ttl: 1000
+            }));
+
+            expect(await run(lock.release({
+                key: 'key',
+                token: 'b'
+            }))).to.be.false;
+
+            expect(await run(lock.release({
+                key: 'key',
+                token: 'a'
+            }))).to.be.true;
+
+            expect(await run(lock.acquire({
+                key: 'key',
+                token: 'b',
+                ttl: 1000
+            }))).to.be.true;
+        });
+
+        it('should expire with clock', async () => {
+            let now = 0;
+
+            lock = locks.memory({
+                clock: () => now
+            });
+
+            await run(lock.acquire({
+                key: 'key',
+                token: 'a',
+                ttl: 1000
+            }));
+
+            now = 999;
+
+            expect(await run(lock.acquire({
+                key: 'key',
+                token: 'b',
+                ttl: 1000
+            }))).to.be.false;
+
+            expect(await run(lock.renew({
+                key: 'key',
+                token: 'a',
+                ttl: 1000
+            }))).to.be.true;
+
+            now = 1998;
+
+            expect(await run(lock.acquire({
+                key: 'key',
+                token: 'b',
+                ttl: 1000
+            }))).to.be.false;
+
+            now = 1999;
+
+            expect(await run(lock.acquire({
+                key: 'key',
+                token: 'b',
+                ttl: 1000
+            }))).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,71 @@
+const rx = require('rxjs');
+
+module.exports = (options = {}) => {
+    const {
+        clock = Date.now
+    } = options;
+
+    const leases = new Map();
+
+    const alive = key => {
+        const lease = leases.get(key);
+
+        if (lease && lease.expiresAt <= clock()) {
+            leases.delete(key);
+
+            return null;
+        }
+
+        return lease || null;
+    };
+
+    return {
+        acquire: ({
+            key,
+            token,
+            ttl
+        }) => rx.defer(() => {
+            const lease = alive(key);
+
+            if (lease && lease.token !== token) {
+                return rx.of(false);
+            }
+
+            leases.set(key, {
+                expiresAt: clock() + ttl,
+                token
+            });
+
+            return rx.of(true);
+        }),
+        renew: ({
+            key,
+            token,
+            ttl
+        }) => rx.defer(() => {
+            const lease = alive(key);
+
+            if (!lease || lease.token !== token) {
+                return rx.of(false);
+            }
+
+            lease.expiresAt = clock() + ttl;
+
+            return rx.of(true);
+        }),
+        release: ({
+            key,
+            token
+        }) => rx.defer(() => {
+            const lease = alive(key);
+
+            if (!lease || lease.token !== token) {
+                return rx.of(false);
+            }
+
+            leases.delete(key);
+
+            return rx.of(true);
+        })
+    };
+};
@@ -0,0 +1,98 @@
+module.exports = class Lru {
+    constructor(options = {}) {
+        this.options = {
+            maxBytes: Infinity,
+            maxEntries: 1000,
+            clock: () => Date.now(),
+            ttl: Infinity,
+            ...options
+        };
+
+        this.bytes = 0;
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return undefined;
+        }
+
+        if (entry.expiresAt <= this.options.clock()) {
+            this.delete(key);
+
+            return undefined;
+        }
+
+        // refresh recency
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        return entry.value;
+    }
+
+    sizeOf(key) {
+        const entry = this.entries.get(key);
+
+        return entry ? entry.size : 0;
+    }
+
+    set(key, value, size = 0) {
+        this.delete(key);
+
+        if (size > this.options.maxBytes) {
+            return;
+        }
+
+        this.entries.set(key, {
+            expiresAt: this.options.clock() + this.options.ttl,
+            size,
+            value
+        });
+
+        this.bytes += size;
+        this._evict();
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+
+        if (entry) {
+            this.bytes -= entry.size;
+            this.entries.delete(key);
+        }
+    }
+
+    clear(filter) {
+        if (typeof filter !== 'function') {
+            this.bytes = 0;
+            this.entries.clear();
+
+            return;
+        }
+
+        for (const [key, entry] of this.entries) {
+            if (filter(entry.value, key)) {
+                this.delete(key);
+            }
+        }
+    }
+
+    _evict() {
+        for (const key of this.entries.keys()) {
+            if (
+                this.entries.size <= this.options.maxEntries &&
+                this.bytes <= this.options.maxBytes
+            ) {
+                break;
+            }
+
+            this.delete(key);
+        }
+    }
+};
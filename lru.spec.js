@@ -0,0 +1,167 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const Lru = require('./lru');
+
+const expect = chai.expect;
+const now = Date.now();
+
+describe('lru.js', () => {
+    let lru;
+
+    beforeEach(() => {
+        sinon.stub(Date, 'now')
+            .returns(now);
+
+        lru = new Lru({
+            maxEntries: 2,
+            maxBytes: 10,
+            ttl: 100
+        });
+    });
+
+    afterEach(() => {
+        Date.now.restore();
+    });
+
+    describe('constructor', () => {
+        it('should have defaults', () => {
+            const {
+                clock,
+                ...options
+            } = new Lru().options;
+
+            expect(clock()).to.equal(now);
+            expect(options).to.deep.equal({
+                maxBytes: Infinity,
+                maxEntries: 1000,
+                ttl: Infinity
+            });
+        });
+    });
+
+    describe('get', () => {
+        it('should return undefined if no entry', () => {
+            expect(lru.get('a')).to.be.undefined;
+        });
+
+        it('should return value', () => {
+            lru.set('a', 'value', 1);
+
+            expect(lru.get('a')).to.equal('value');
+        });
+
+        it('should return undefined and delete if expired', () => {
+            lru.set('a', 'value', 1);
+            Date.now.returns(now + 100);
+
+            expect(lru.get('a')).to.be.undefined;
+            expect(lru.size).to.equal(0);
+            expect(lru.bytes).to.equal(0);
+        });
+
+        it('should use clock', () => {
+            let time = 0;
+
+            lru = new Lru({
+                clock: () => time,
+                ttl: 100
+            });
+
+            lru.set('a', 'value', 1);
+            time = 99;
+            expect(lru.get('a')).to.equal('value');
+
+            time = 100;
+            expect(lru.get('a')).to.be.undefined;
+        });
+
+        it('should refresh recency', () => {
+            lru.set('a', 'a', 1);
+            lru.set('b', 'b', 1);
+            lru.get('a');
+            lru.set('c', 'c', 1);
+
+            expect(lru.get('a')).to.equal('a');
+            expect(lru.get('b')).to.be.undefined;
+            expect(lru.get('c')).to.equal('c');
+        });
+    });
+
+    describe('set', () => {
+        it('should evict least recently used by maxEntries', () => {
+            lru.set('a', 'a', 1);
+            lru.set('b', 'b', 1);
+            lru.set('c', 'c', 1);
+
+            expect(lru.size).to.equal(2);
+            expect(lru.get('a')).to.be.undefined;
+        });
+
+        it('should evict least recently used by maxBytes', () => {
+            lru.set('a', 'a', 6);
+            lru.set('b', 'b', 6);
+
+            expect(lru.size).to.equal(1);
+            expect(lru.bytes).to.equal(6);
+            expect(lru.get('b')).to.equal('b');
+        });
+
+        it('should not set if bigger than maxBytes', () => {
+            lru.set('a', 'a', 11);
+
+            expect(lru.size).to.equal(0);
+            expect(lru.bytes).to.equal(0);
+        });
+
+        it('should replace', () => {
+            lru.set('a', 'a', 2);
+            lru.set('a', 'b', 3);
+
+            expect(lru.size).to.equal(1);
+            expect(lru.bytes).to.equal(3);
+            expect(lru.get('a')).to.equal('b');
+        });
+    });
+
+    describe('sizeOf', () => {
+        it('should return size', () => {
+            lru.set('a', 'a', 2);
+
+            expect(lru.sizeOf('a')).to.equal(2);
+            expect(lru.sizeOf('b')).to.equal(0);
+        });
+    });
+
+    describe('delete', () => {
+        it('should delete', () => {
+            lru.set('a', 'a', 2);
+            lru.delete('a');
+            lru.delete('b');
+
+            expect(lru.size).to.equal(0);
+            expect(lru.bytes).to.equal(0);
+        });
+    });
+
+    describe('clear', () => {
+        it('should clear all', () => {
+            lru.set('a', 'a', 2);
+            lru.set('b', 'b', 2);
+            lru.clear();
+
+            expect(lru.size).to.equal(0);
+            expect(lru.bytes).to.equal(0);
+        });
+
+        it('should clear filtered', () => {
+            lru.set('a', 'a', 2);
+            lru.set('b', 'b', 2);
+            lru.clear(value => value === 'a');
+
+            expect(lru.size).to.equal(1);
+            expect(lru.bytes).to.equal(2);
+            expect(lru.get('b')).to.equal('b');
+        });
+    });
+});
@@ -0,0 +1,95 @@
+const TYPE = '$type';
+
+const typedReplacer = function(key, value) {
+    const original = this[key];
+
+    if (original instanceof Date) {
+        return {
+            [TYPE]: 'Date',
+            value: isNaN(original.getTime()) ? null : original.toISOString()
+        };
+    }
+
+    if (Buffer.isBuffer(original)) {
+        return {
+            [TYPE]: 'Buffer',
+            value: original.toString('base64')
+        };
+    }
+
+    if (typeof value === 'bigint') {
+        return {
+            [TYPE]: 'BigInt',
+            value: value.toString()
+        };
+    }
+
+    if (value instanceof Map) {
+        return {
+            [TYPE]: 'Map',
+            value: Array.from(value)
+        };
+    }
+
+    if (value instanceof Set) {
+        return {
+            [TYPE]: 'Set',
+            value: Array.from(value)
+        };
+    }
+
+    // plain objects colliding with type tag
+    if (
+        value &&
+        typeof value === 'object' &&
+        !Array.isArray(value) &&
+        Object.prototype.hasOwnProperty.call(value, TYPE)
+    ) {
+        return {
+            [TYPE]: 'Object',
+            value: Object.entries(value)
+        };
+    }
+
+    return value;
+};
+
+const typedRevivers = {
+    BigInt: value => BigInt(value),
+    Buffer: value => Buffer.from(value, 'base64'),
+    Date: value => new Date(value === null ? NaN : value),
+    Map: value => new Map(value),
+    Object: value => Object.fromEntries(value),
+    Set: value => new Set(value)
+};
+
+const typedReviver = (key, value) => {
+    if (
+        value &&
+        typeof value === 'object' &&
+        typeof value[TYPE] === 'string' &&
+        typedRevivers[value[TYPE]]
+    ) {
+        return typedRevivers[value[TYPE]](value.value);
+    }
+
+    return value;
+};
+
+module.exports = {
+    json: {
+        name: 'json',
+        serialize: value => JSON.stringify(value),
+        deserialize: value => JSON.parse(value)
+    },
+    raw: {
+        name: 'raw',
+        serialize: value => value,
+        deserialize: value => value
+    },
+    typed: {
+        name: 'typed',
+        serialize: value => JSON.stringify(value, typedReplacer),
+        deserialize: value => JSON.parse(value, typedReviver)
+    }
+};
@@ -0,0 +1,99 @@
+const chai = require('chai');
+
+const serializers = require('./serializers');
+
+const expect = chai.expect;
+
+describe('serializers.js', () => {
+    describe('json', () => {
+        it('should serialize and deserialize', () => {
+            const serialized = serializers.json.serialize({
+                a: 1
+            });
+
+            expect(serialized).to.equal('{"a":1}');
+            expect(serializers.json.deserialize(serialized)).to.deep.equal({
+                a: 1
+            });
+        });
+    });
+
+    describe('raw', () => {
+        it('should pass through', () => {
+            const obj = {};
+
+            expect(serializers.raw.serialize(obj)).to.equal(obj);
+            expect(serializers.raw.deserialize(obj)).to.equal(obj);
+        });
+    });
+
+    describe('typed', () => {
+        const roundTrip = value => {
+            return serializers.typed.deserialize(serializers.typed.serialize(value));
+        };
+
+        it('should preserve primitives', () => {
+            expect(roundTrip('a')).to.equal('a');
+            expect(roundTrip(1)).to.equal(1);
+            expect(roundTrip(false)).to.be.false;
+            expect(roundTrip(null)).to.be.null;
+        });
+
+        it('should preserve Date', () => {
+            const date = new Date();
+
+            expect(roundTrip(date)).to.be.instanceOf(Date);
+            expect(roundTrip(date).getTime()).to.equal(date.getTime());
+        });
+
+        it('should preserve invalid Date', () => {
+            expect(isNaN(roundTrip(new Date(NaN)).getTime())).to.be.true;
+        });
+
+        it('should preserve BigInt', () => {
+            expect(roundTrip(BigInt('12345678901234567890'))).to.equal(BigInt('12345678901234567890'));
+        });
+
+        it('should preserve Buffer', () => {
+            const buffer = Buffer.from('value');
+
+            expect(Buffer.isBuffer(roundTrip(buffer))).to.be.true;
+            expect(roundTrip(buffer).equals(buffer)).to.be.true;
+        });
+
+        it('should preserve Map and Set', () => {
+            const map = roundTrip(new Map([
+                ['a', new Set([1, 2])]
+            ]));
+
+            expect(map).to.be.instanceOf(Map);
+            expect(map.get('a')).to.be.instanceOf(Set);
+            expect(Array.from(map.get('a'))).to.deep.equal([1, 2]);
+        });
+
+        it('should preserve nested values', () => {
+            const date = new Date();
+            const value = roundTrip({
+                a: [date],
+                b: {
+                    c: BigInt(1)
+                }
+            });
+
+            expect(value.a[0].getTime()).to.equal(date.getTime());
+            expect(value.b.c).to.equal(BigInt(1));
+        });
+
+        it('should preserve objects colliding with type tag', () => {
+            const date = new Date();
+
+            expect(roundTrip({
+                $type: 'Date',
+                value: date
+            })).to.deep.equal({
+                $type: 'Date',
+                value: date
+            });
+        });
+    });
+});
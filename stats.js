@@ -0,0 +1,125 @@
+const percentile = (samples, p) => {
+    if (!samples.length) {
+        return 0;
+    }
+
+    const sorted = samples.slice()
+        .sort((a, b) => a - b);
+
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+};
+
+const createBucket = () => ({
+    bytesStored: 0,
+    bytesWritten: 0,
+    expirations: 0,
+    hits: 0,
+    misses: 0,
+    sourceCalls: 0,
+    sourceErrors: 0,
+    writes: 0,
+    samples: {
+        get: [],
+        set: [],
+        source: []
+    }
+});
+
+module.exports = class Stats {
+    constructor(options = {}) {
+        this.options = {
+            maxSamples: 1000,
+            ...options
+        };
+
+        this.reset();
+    }
+
+    record(event) {
+        const buckets = [this.total];
+
+        if (event.namespace) {
+            if (!this.namespaces.has(event.namespace)) {
+                this.namespaces.set(event.namespace, createBucket());
+            }
+
+            buckets.push(this.namespaces.get(event.namespace));
+        }
+
+        buckets.forEach(bucket => {
+            switch (event.type) {
+                case 'hit':
+                    bucket.hits++;
+                    this._sample(bucket.samples.get, event.latency);
+                    break;
+                case 'miss':
+                    bucket.misses++;
+                    this._sample(bucket.samples.get, event.latency);
+                    break;
+                case 'stale':
+                    bucket.expirations++;
+                    this._sample(bucket.samples.get, event.latency);
+                    break;
+                case 'source':
+                    bucket.sourceCalls++;
+                    this._sample(bucket.samples.source, event.latency);
+                    break;
+                case 'source-error':
+                    if (!event.emitted) {
+                        bucket.sourceCalls++;
+                    }
+
+                    bucket.sourceErrors++;
+                    break;
+                case 'set':
+                    bucket.writes++;
+                    bucket.bytesWritten += event.size || 0;
+                    bucket.bytesStored += event.storedSize || 0;
+                    this._sample(bucket.samples.set, event.latency);
+                    break;
+            }
+        });
+    }
+
+    snapshot(namespace) {
+        const bucket = namespace ? this.namespaces.get(namespace) || createBucket() : this.total;
+        const {
+            samples,
+            ...counts
+        } = bucket;
+
+        const reads = counts.hits + counts.misses + counts.expirations;
+        const latency = {};
+
+        Object.keys(samples)
+            .forEach(key => {
+                latency[key] = {
+                    p50: percentile(samples[key], 50),
+                    p95: percentile(samples[key], 95)
+                };
+            });
+
+        return {
+            ...counts,
+            hitRatio: reads ? counts.hits / reads : 0,
+            latency
+        };
+    }
+
+    reset() {
+        this.namespaces = new Map();
+        this.total = createBucket();
+    }
+
+    _sample(samples, value) {
+        if (typeof value !== 'number') {
+            return;
+        }
+
+        samples.push(value);
+
+        if (samples.length > this.options.maxSamples) {
+            samples.shift();
+        }
+    }
+};
@@ -0,0 +1,165 @@
+const chai = require('chai');
+
+const Stats = require('./stats');
+
+const expect = chai.expect;
+
+describe('stats.js', () => {
+    let stats;
+
+    beforeEach(() => {
+        stats = new Stats({
+            maxSamples: 20
+        });
+    });
+
+    describe('snapshot', () => {
+        it('should return empty', () => {
+            expect(stats.snapshot()).to.deep.equal({
+                bytesStored: 0,
+                bytesWritten: 0,
+                expirations: 0,
+                hitRatio: 0,
+                hits: 0,
+                misses: 0,
+                sourceCalls: 0,
+                sourceErrors: 0,
+                writes: 0,
+                latency: {
+                    get: {
+                        p50: 0,
+                        p95: 0
+                    },
+                    set: {
+                        p50: 0,
+                        p95: 0
+                    },
+                    source: {
+                        p50: 0,
+                        p95: 0
+                    }
+                }
+            });
+        });
+
+        it('should count events', () => {
+            [{
+                type: 'hit',
+                namespace: 'a',
+                latency: 1
+            }, {
+                type: 'hit',
+                namespace: 'a',
+                latency: 1
+            }, {
+                type: 'miss',
+                namespace: 'a',
+                latency: 2
+            }, {
+                type: 'stale',
+                namespace: 'b',
+                latency: 3
+            }, {
+                type: 'source',
+                namespace: 'b',
+                latency: 10
+            }, {
+                type: 'source-error',
+                namespace: 'b'
+            }, {
+                type: 'set',
+                namespace: 'b',
+                latency: 5,
+                size: 100,
+                storedSize: 20
+            }, {
+                type: 'del',
+                namespace: 'b'
+            }].forEach(event => stats.record(event));
+
+            expect(stats.snapshot()).to.deep.equal({
+                bytesStored: 20,
+                bytesWritten: 100,
+                expirations: 1,
+                hitRatio: 0.5,
+                hits: 2,
+                misses: 1,
+                sourceCalls: 2,
+                sourceErrors: 1,
+                writes: 1,
+                latency: {
+                    get: {
+                        p50: 1,
+                        p95: 3
+                    },
+                    set: {
+                        p50: 5,
+                        p95: 5
+                    },
+                    source: {
+                        p50: 10,
+                        p95: 10
+                    }
+                }
+            });
+
+            expect(stats.snapshot('a')).to.include({
+                hitRatio: 2 / 3,
+                hits: 2,
+                misses: 1,
+                writes: 0
+            });
+
+            expect(stats.snapshot('b')).to.include({
+                expirations: 1,
+                hitRatio: 0,
+                writes: 1
+            });
+        });
+
+        it('should return empty for unknown namespace', () => {
+            expect(stats.snapshot('unknown').hits).to.equal(0);
+        });
+
+        it('should compute percentiles', () => {
+            for (let i = 1; i <= 20; i++) {
+                stats.record({
+                    type: 'hit',
+                    latency: i
+                });
+            }
+
+            expect(stats.snapshot().latency.get).to.deep.equal({
+                p50: 10,
+                p95: 19
+            });
+        });
+
+        it('should keep max samples', () => {
+            for (let i = 1; i <= 40; i++) {
+                stats.record({
+                    type: 'hit',
+                    latency: i
+                });
+            }
+
+            expect(stats.total.samples.get).to.have.length(20);
+            expect(stats.snapshot().latency.get.p50).to.equal(30);
+        });
+    });
+
+    describe('reset', () => {
+        it('should reset', () => {
+            stats.record({
+                type: 'hit',
+                namespace: 'a',
+                latency: 1
+            });
+
+            stats.reset();
+
+            expect(stats.snapshot().hits).to.equal(0);
+            expect(stats.namespaces.size).to.equal(0);
+        });
+    });
+});